@@ -168,7 +168,8 @@ export async function createOrUpdateConversation(conversationId) {
 /**
  * Save a message to the database
  * @param {string} conversationId - The conversation ID
- * @param {string} role - The message role (user or assistant)
+ * @param {string} role - The message role: user, assistant, or event for
+ *   things that happened outside the chat, such as items added to the cart
  * @param {string} content - The message content
  * @returns {Promise<Object>} - The saved message
  */
@@ -253,3 +254,449 @@ export async function getCustomerAccountUrl(conversationId) {
     return null;
   }
 }
+
+/**
+ * Store the ID of the cart a conversation works on
+ * @param {string} conversationId - The conversation ID
+ * @param {string} cartId - The storefront cart ID
+ * @returns {Promise<Object>} - The saved record
+ */
+export async function storeConversationCartId(conversationId, cartId) {
+  try {
+    return await prisma.conversationCart.upsert({
+      where: { conversationId },
+      update: { cartId },
+      create: { conversationId, cartId }
+    });
+  } catch (error) {
+    console.error('Error storing conversation cart ID:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the ID of the cart a conversation works on
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<string|null>} - The cart ID or null if the conversation has no cart yet
+ */
+export async function getConversationCartId(conversationId) {
+  try {
+    const record = await prisma.conversationCart.findUnique({
+      where: { conversationId }
+    });
+
+    return record?.cartId || null;
+  } catch (error) {
+    console.error('Error retrieving conversation cart ID:', error);
+    return null;
+  }
+}
+
+/**
+ * Save a tool call that waits for the customer's confirmation
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} action - The pending action
+ * @param {string} action.toolUseId - The ID of the tool use request; providers can
+ *   reuse these, so actions are looked up by their own ID
+ * @param {string} action.toolName - Tool name as exposed to the model
+ * @param {Object} action.arguments - Tool arguments
+ * @param {string} action.summary - What the customer is asked to approve
+ * @returns {Promise<Object>} - The saved pending action
+ */
+export async function createPendingToolAction(conversationId, { toolUseId, toolName, arguments: toolArgs, summary }) {
+  try {
+    return await prisma.pendingToolAction.create({
+      data: {
+        conversationId,
+        toolUseId,
+        toolName,
+        arguments: JSON.stringify(toolArgs || {}),
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Error saving pending tool action:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a pending tool action
+ * @param {string} id - The pending action ID
+ * @returns {Promise<Object|null>} - The action with its arguments parsed, or null if not found
+ */
+export async function getPendingToolAction(id) {
+  try {
+    const action = await prisma.pendingToolAction.findUnique({ where: { id } });
+    if (!action) return null;
+
+    let toolArgs = {};
+    try {
+      toolArgs = JSON.parse(action.arguments);
+    } catch (e) {
+      console.error(`Invalid arguments for pending tool action ${id}`);
+    }
+
+    return { ...action, arguments: toolArgs };
+  } catch (error) {
+    console.error('Error retrieving pending tool action:', error);
+    return null;
+  }
+}
+
+/**
+ * Record the decision on a pending tool action. Only actions that are still
+ * pending change, so the first decision wins.
+ * @param {string} id - The pending action ID
+ * @param {string} conversationId - The conversation the action must belong to
+ * @param {string} status - "approved", "declined" or "expired"
+ * @returns {Promise<boolean>} - Whether the action was still pending and is now decided
+ */
+export async function decidePendingToolAction(id, conversationId, status) {
+  try {
+    const result = await prisma.pendingToolAction.updateMany({
+      where: { id, conversationId, status: 'pending' },
+      data: { status }
+    });
+
+    return result.count > 0;
+  } catch (error) {
+    console.error('Error deciding pending tool action:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the additional MCP servers configured for a shop
+ * @param {string} shop - The shop's myshopify.com domain
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.enabledOnly] - Only return enabled servers
+ * @returns {Promise<Array>} - MCP server records with headers parsed into an object
+ */
+export async function getMcpServers(shop, { enabledOnly = false } = {}) {
+  try {
+    const servers = await prisma.mcpServer.findMany({
+      where: {
+        shop,
+        ...(enabledOnly ? { enabled: true } : {})
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return servers.map((server) => ({
+      ...server,
+      headers: parseMcpServerHeaders(server.headers)
+    }));
+  } catch (error) {
+    console.error('Error retrieving MCP servers:', error);
+    return [];
+  }
+}
+
+/**
+ * Create or update an MCP server for a shop
+ * @param {string} shop - The shop's myshopify.com domain
+ * @param {Object} server - The server configuration
+ * @param {string} server.name - Unique server name within the shop
+ * @param {string} server.endpoint - The MCP endpoint URL
+ * @param {Object} [server.headers] - Extra request headers; an existing server
+ *   keeps its stored headers when omitted, and an empty object clears them
+ * @param {string} [server.toolPrefix] - Prefix applied to the server's tool names
+ * @param {boolean} [server.enabled] - Whether the server is used in chats
+ * @returns {Promise<Object>} - The saved MCP server
+ */
+export async function saveMcpServer(shop, { name, endpoint, headers, toolPrefix, enabled = true }) {
+  const data = {
+    endpoint,
+    toolPrefix: toolPrefix || null,
+    enabled
+  };
+  if (headers !== undefined) {
+    data.headers = Object.keys(headers).length > 0 ? JSON.stringify(headers) : null;
+  }
+
+  try {
+    return await prisma.mcpServer.upsert({
+      where: { shop_name: { shop, name } },
+      update: data,
+      create: { shop, name, ...data }
+    });
+  } catch (error) {
+    console.error('Error saving MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enable or disable an MCP server
+ * @param {string} shop - The shop's myshopify.com domain
+ * @param {string} id - The MCP server ID
+ * @param {boolean} enabled - Whether the server is used in chats
+ * @returns {Promise<Object>} - Prisma batch result
+ */
+export async function setMcpServerEnabled(shop, id, enabled) {
+  try {
+    return await prisma.mcpServer.updateMany({
+      where: { id, shop },
+      data: { enabled }
+    });
+  } catch (error) {
+    console.error('Error updating MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete an MCP server
+ * @param {string} shop - The shop's myshopify.com domain
+ * @param {string} id - The MCP server ID
+ * @returns {Promise<Object>} - Prisma batch result
+ */
+export async function deleteMcpServer(shop, id) {
+  try {
+    return await prisma.mcpServer.deleteMany({
+      where: { id, shop }
+    });
+  } catch (error) {
+    console.error('Error deleting MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * Parse the stored JSON headers of an MCP server
+ * @param {string|null} headers - JSON string of headers
+ * @returns {Object} - Header map (empty if missing or invalid)
+ */
+function parseMcpServerHeaders(headers) {
+  if (!headers) return {};
+
+  try {
+    const parsed = JSON.parse(headers);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    console.error('Invalid MCP server headers JSON:', error);
+    return {};
+  }
+}
+
+/**
+ * Get the tool policies configured for a shop
+ * @param {string} shop - The shop's myshopify.com domain
+ * @returns {Promise<Array>} - Tool policy records
+ */
+export async function getToolPolicies(shop) {
+  try {
+    return await prisma.toolPolicy.findMany({
+      where: { shop },
+      orderBy: { toolName: 'asc' }
+    });
+  } catch (error) {
+    console.error('Error retrieving tool policies:', error);
+    return [];
+  }
+}
+
+/**
+ * Create or update the policy for a tool
+ * @param {string} shop - The shop's myshopify.com domain
+ * @param {Object} policy - The tool policy
+ * @param {string} policy.toolName - Tool name as exposed to the model
+ * @param {string} policy.access - "default", "allow" or "deny"
+ * @param {boolean} policy.requiresConfirmation - Whether the customer must confirm calls
+ * @param {string} [policy.descriptionOverride] - Replacement tool description
+ * @returns {Promise<Object>} - The saved tool policy
+ */
+export async function saveToolPolicy(shop, { toolName, access, requiresConfirmation, descriptionOverride }) {
+  const data = {
+    access,
+    requiresConfirmation,
+    descriptionOverride: descriptionOverride || null
+  };
+
+  try {
+    return await prisma.toolPolicy.upsert({
+      where: { shop_toolName: { shop, toolName } },
+      update: data,
+      create: { shop, toolName, ...data }
+    });
+  } catch (error) {
+    console.error('Error saving tool policy:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a tool policy
+ * @param {string} shop - The shop's myshopify.com domain
+ * @param {string} id - The tool policy ID
+ * @returns {Promise<Object>} - Prisma batch result
+ */
+export async function deleteToolPolicy(shop, id) {
+  try {
+    return await prisma.toolPolicy.deleteMany({
+      where: { id, shop }
+    });
+  } catch (error) {
+    console.error('Error deleting tool policy:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the model settings configured for a shop
+ * @param {string} shop - The shop's myshopify.com domain
+ * @returns {Promise<Object|null>} - The model config or null if the shop uses the defaults
+ */
+export async function getModelConfig(shop) {
+  try {
+    return await prisma.modelConfig.findUnique({
+      where: { shop }
+    });
+  } catch (error) {
+    console.error('Error retrieving model config:', error);
+    return null;
+  }
+}
+
+/**
+ * Create or update the model settings for a shop
+ * @param {string} shop - The shop's myshopify.com domain
+ * @param {Object} config - The model settings; empty values fall back to the defaults
+ * @param {string} config.provider - LLM provider name
+ * @param {string} [config.model] - Model name
+ * @param {number} [config.maxTokens] - Maximum output tokens per response
+ * @param {number} [config.temperature] - Sampling temperature
+ * @param {number} [config.thinkingBudget] - Extended thinking budget in tokens
+ * @returns {Promise<Object>} - The saved model config
+ */
+export async function saveModelConfig(shop, { provider, model, maxTokens, temperature, thinkingBudget }) {
+  const data = {
+    provider,
+    model: model || null,
+    maxTokens: maxTokens ?? null,
+    temperature: temperature ?? null,
+    thinkingBudget: thinkingBudget || null
+  };
+
+  try {
+    return await prisma.modelConfig.upsert({
+      where: { shop },
+      update: data,
+      create: { shop, ...data }
+    });
+  } catch (error) {
+    console.error('Error saving model config:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the MCP prompt and context resources configured for a shop's chat
+ * @param {string} shop - The shop's myshopify.com domain
+ * @returns {Promise<Object|null>} - The chat context config or null if none is configured
+ */
+export async function getChatContextConfig(shop) {
+  try {
+    return await prisma.chatContextConfig.findUnique({
+      where: { shop }
+    });
+  } catch (error) {
+    console.error('Error retrieving chat context config:', error);
+    return null;
+  }
+}
+
+/**
+ * Create or update the MCP prompt and context resources of a shop's chat
+ * @param {string} shop - The shop's myshopify.com domain
+ * @param {Object} config - The chat context settings
+ * @param {string} [config.mcpPrompt] - Name of the MCP prompt that replaces the system prompt
+ * @param {Array<string>} config.contextResources - MCP resource URIs added as context
+ * @returns {Promise<Object>} - The saved chat context config
+ */
+export async function saveChatContextConfig(shop, { mcpPrompt, contextResources }) {
+  const data = {
+    mcpPrompt: mcpPrompt || null,
+    contextResources: contextResources.join('\n')
+  };
+
+  try {
+    return await prisma.chatContextConfig.upsert({
+      where: { shop },
+      update: data,
+      create: { shop, ...data }
+    });
+  } catch (error) {
+    console.error('Error saving chat context config:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the rolling summary of a conversation's older messages
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - The summary or null if the conversation was never compacted
+ */
+export async function getConversationSummary(conversationId) {
+  try {
+    return await prisma.conversationSummary.findUnique({
+      where: { conversationId }
+    });
+  } catch (error) {
+    console.error('Error retrieving conversation summary:', error);
+    return null;
+  }
+}
+
+/**
+ * Store the rolling summary of a conversation's older messages
+ * @param {string} conversationId - The conversation ID
+ * @param {string} summary - The summary text
+ * @param {string} lastMessageId - ID of the newest message the summary covers
+ * @returns {Promise<Object>} - The saved summary
+ */
+export async function storeConversationSummary(conversationId, summary, lastMessageId) {
+  try {
+    return await prisma.conversationSummary.upsert({
+      where: { conversationId },
+      update: {
+        summary,
+        lastMessageId
+      },
+      create: {
+        conversationId,
+        summary,
+        lastMessageId
+      }
+    });
+  } catch (error) {
+    console.error('Error storing conversation summary:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record the token usage of one chat turn, including prompt cache hits and misses
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} usage - Token counts summed over the turn's model calls
+ * @returns {Promise<Object>} - The saved usage record
+ */
+export async function recordTurnUsage(conversationId, usage) {
+  try {
+    return await prisma.turnUsage.create({
+      data: {
+        conversationId,
+        model: usage.model,
+        modelCalls: usage.modelCalls,
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens,
+        cacheCreationInputTokens: usage.cacheCreationInputTokens,
+        cacheReadInputTokens: usage.cacheReadInputTokens
+      }
+    });
+  } catch (error) {
+    console.error('Error recording turn usage:', error);
+    throw error;
+  }
+}
@@ -1,11 +1,123 @@
 // app/mcp-client.js
 
+import { randomUUID } from "node:crypto";
 import { generateAuthUrl } from "./auth.server";
 import { getCustomerToken } from "./db.server";
+import {
+  getCachedTools,
+  setCachedTools,
+  invalidateCachedTools,
+} from "./services/tool-cache.server";
+import { getCircuitBreaker } from "./services/circuit-breaker.server";
+import {
+  validateToolArguments,
+  formatValidationErrors,
+} from "./services/schema-validator.server";
+import { createToolPolicy } from "./services/tool-policy.server";
+import AppConfig from "./services/config.server";
+
+/**
+ * MCP protocol versions this client understands, newest first.
+ * The first entry is the version we request during the initialize handshake.
+ */
+const SUPPORTED_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+const CLIENT_INFO = {
+  name: "shop-chat-agent",
+  version: "1.0.0",
+};
+
+// How long an idle MCP session is kept before it is renegotiated.
+const SESSION_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Negotiated MCP sessions, keyed by conversation and endpoint.
+ * A new MCPClient is created for every chat turn, so sessions live at module
+ * level to keep the same Mcp-Session-Id across the turns of a conversation.
+ */
+const sessionStore = new Map();
+
+/**
+ * Removes sessions that have not been used within SESSION_TTL_MS.
+ */
+function pruneExpiredSessions() {
+  const now = Date.now();
+  for (const [key, session] of sessionStore) {
+    if (now - session.lastUsedAt > SESSION_TTL_MS) {
+      sessionStore.delete(key);
+    }
+  }
+}
+
+/**
+ * Whether a failed MCP request is worth retrying: network errors, timeouts,
+ * rate limiting and server errors. Non-JSON responses are not.
+ * @param {Error} error - The request error
+ * @returns {boolean} Whether the request may be retried
+ */
+function isRetryableError(error) {
+  if (error instanceof SyntaxError) return false;
+  if (error.code === "aborted") return false;
+  if (!error.status) return true;
+  return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Error thrown for requests cancelled through the client's abort signal.
+ * @param {string} method - The JSON-RPC method
+ * @param {string} endpoint - The MCP endpoint URL
+ * @returns {Error} Error with code "aborted"
+ */
+function abortedError(method, endpoint) {
+  const err = new Error(`MCP ${method} to ${endpoint} was cancelled`);
+  err.name = "AbortError";
+  err.code = "aborted";
+  return err;
+}
+
+/**
+ * Exponential backoff with full jitter.
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Object} retry - Retry settings from AppConfig.mcp.retry
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * cap);
+}
+
+/**
+ * Whether an error means the MCP server could not be reached in time
+ * (open circuit breaker or timeout), as opposed to the tool failing.
+ * @param {Error} error - The request error
+ * @returns {boolean} Whether the server is unavailable
+ */
+function isUnavailableError(error) {
+  return error.code === "circuit_open" || error.code === "timeout";
+}
+
+/**
+ * Tool response telling the model a tool cannot be used right now.
+ * @param {string} toolName - The tool that was called
+ * @returns {Object} Tool error response
+ */
+function unavailableToolResponse(toolName) {
+  return {
+    error: {
+      type: "unavailable",
+      data: `The ${toolName} tool is temporarily unavailable. Let the customer know and suggest trying again in a little while.`,
+    },
+  };
+}
+
+export const STOREFRONT_SERVER = "storefront";
+export const CUSTOMER_SERVER = "customer";
 
 /**
  * Client for interacting with Model Context Protocol (MCP) API endpoints.
- * Manages connections to both customer and storefront MCP endpoints, and handles tool invocation.
+ * Keeps a registry of MCP servers (the built-in storefront and customer servers
+ * plus any configured per shop), and routes tool invocations to the server that
+ * advertised the tool.
  */
 class MCPClient {
   /**
@@ -24,6 +136,8 @@ class MCPClient {
     this.shopDomain = hostname; // expected like nice-demo-store-ch.myshopify.com
     this.conversationId = conversationId;
     this.shopId = shopId;
+    // Sessions of clients without a conversation are not shared with anyone else
+    this.instanceId = randomUUID();
 
     // Prefer your custom domain for Storefront MCP if provided via env,
     // otherwise use myshopify.com domain to avoid password/redirect HTML.
@@ -45,167 +159,404 @@ class MCPClient {
       `https://${accountHost}/customer/api/mcp`;
 
     this.customerAccessToken = "";
+    this.sessions = {};
+    this.servers = new Map();
+    this.toolRoutes = new Map();
+    this.toolPolicy = createToolPolicy();
+    this.abortSignal = null;
     this.tools = [];
     this.customerTools = [];
     this.storefrontTools = [];
+
+    this.registerServer({
+      name: STOREFRONT_SERVER,
+      endpoint: this.storefrontMcpEndpoint,
+    });
+    this.registerServer({
+      name: CUSTOMER_SERVER,
+      endpoint: this.customerMcpEndpoint,
+      requiresCustomerAuth: true,
+    });
   }
 
   /**
-   * Connects to the customer MCP server and retrieves available tools.
+   * Adds an MCP server to the registry so its tools can be discovered and called.
+   * @param {Object} server - Server definition
+   * @param {string} server.name - Unique server name
+   * @param {string} server.endpoint - The MCP endpoint URL
+   * @param {Object} [server.headers] - Extra headers (e.g. auth) sent with every request
+   * @param {string} [server.toolPrefix] - Prefix added to tool names to avoid collisions
+   * @param {boolean} [server.enabled] - Disabled servers are ignored
+   * @param {boolean} [server.requiresCustomerAuth] - Send the customer access token
+   * @returns {boolean} Whether the server was registered
    */
-  async connectToCustomerServer() {
+  registerServer({
+    name,
+    endpoint,
+    headers = {},
+    toolPrefix = "",
+    enabled = true,
+    requiresCustomerAuth = false,
+  }) {
+    if (!enabled) {
+      console.log(`Skipping disabled MCP server ${name}`);
+      return false;
+    }
+
+    if (this.servers.has(name) && this.servers.get(name).endpoint !== endpoint) {
+      console.warn(`Replacing MCP server ${name} with endpoint ${endpoint}`);
+    }
+
+    this.servers.set(name, {
+      name,
+      endpoint,
+      headers,
+      toolPrefix,
+      requiresCustomerAuth,
+    });
+    return true;
+  }
+
+  /**
+   * Sets the shop's tool policy. Must be called before connecting to servers
+   * so hidden tools are never offered to the model.
+   * @param {Object} toolPolicy - Policy created by createToolPolicy
+   */
+  setToolPolicy(toolPolicy) {
+    this.toolPolicy = toolPolicy;
+  }
+
+  /**
+   * Sets a signal that cancels all in-flight and future requests, e.g. when
+   * the shopper disconnects. Cancelled tool calls are reported to the server.
+   * @param {AbortSignal} signal - The abort signal
+   */
+  setAbortSignal(signal) {
+    this.abortSignal = signal;
+  }
+
+  /**
+   * Connects to a registered MCP server and retrieves its tools.
+   * @param {string} serverName - Name of a registered server
+   * @returns {Promise<Array>} The server's tools, with prefixed names
+   */
+  async connectToServer(serverName) {
+    const server = this.servers.get(serverName);
+    if (!server) {
+      throw new Error(`MCP server ${serverName} is not registered`);
+    }
+
     try {
-      console.log(`Connecting to MCP server at ${this.customerMcpEndpoint}`);
+      console.log(`Connecting to MCP server ${serverName} at ${server.endpoint}`);
 
-      if (this.conversationId) {
-        const dbToken = await getCustomerToken(this.conversationId);
-        if (dbToken?.accessToken) {
-          this.customerAccessToken = dbToken.accessToken;
-        } else {
-          console.log(
-            "No token in database for conversation:",
-            this.conversationId
-          );
-        }
+      const headers = await this._buildHeaders(server);
+
+      await this.initializeSession(server.endpoint, headers);
+
+      if (!this.supportsCapability(server.endpoint, "tools")) {
+        console.log(`MCP server ${serverName} does not offer tools`);
+        return [];
       }
 
-      const headers = {
-        "Content-Type": "application/json",
-        ...(this.customerAccessToken
-          ? { Authorization: `Bearer ${this.customerAccessToken}` }
-          : {}),
-      };
+      let formattedTools = getCachedTools(this.shopDomain, server.endpoint);
 
-      const response = await this._makeJsonRpcRequest(
-        this.customerMcpEndpoint,
-        "tools/list",
-        {},
-        headers
-      );
+      if (formattedTools) {
+        console.log(`Using cached tools for MCP server ${serverName}`);
+      } else {
+        const response = await this._makeJsonRpcRequest(
+          server.endpoint,
+          "tools/list",
+          {},
+          headers
+        );
+
+        const toolsData =
+          response?.result && response.result.tools ? response.result.tools : [];
+        formattedTools = this._formatToolsData(toolsData);
+        setCachedTools(this.shopDomain, server.endpoint, formattedTools);
+      }
 
-      const toolsData =
-        response?.result && response.result.tools ? response.result.tools : [];
-      const customerTools = this._formatToolsData(toolsData);
+      const serverTools = this._routeTools(server, formattedTools);
 
-      this.customerTools = customerTools;
-      this.tools = [...this.tools, ...customerTools];
+      this.tools = [...this.tools, ...serverTools];
 
-      return customerTools;
+      return serverTools;
     } catch (e) {
-      console.error("Failed to connect to MCP server: ", e);
+      // Keep offering the last known tools while the breaker is open; calling
+      // them tells the model they are temporarily unavailable.
+      const cachedTools =
+        e.code === "circuit_open" && getCachedTools(this.shopDomain, server.endpoint);
+      if (cachedTools) {
+        console.warn(`MCP server ${serverName} is unavailable, using cached tools`);
+        const serverTools = this._routeTools(server, cachedTools);
+        this.tools = [...this.tools, ...serverTools];
+        return serverTools;
+      }
+
+      console.error(`Failed to connect to MCP server ${serverName}: `, e);
       throw e;
     }
   }
 
+  /**
+   * Connects to the customer MCP server and retrieves available tools.
+   */
+  async connectToCustomerServer() {
+    this.customerTools = await this.connectToServer(CUSTOMER_SERVER);
+    return this.customerTools;
+  }
+
   /**
    * Connects to the storefront MCP server and retrieves available tools.
    */
   async connectToStorefrontServer() {
-    try {
-      console.log(`Connecting to MCP server at ${this.storefrontMcpEndpoint}`);
+    this.storefrontTools = await this.connectToServer(STOREFRONT_SERVER);
+    return this.storefrontTools;
+  }
 
-      const headers = {
-        "Content-Type": "application/json",
-      };
+  /**
+   * Performs the MCP initialize handshake with an endpoint, or reuses the
+   * session already negotiated for this conversation.
+   * @param {string} endpoint - The MCP endpoint URL
+   * @param {Object} headers - Request headers (including any auth headers)
+   * @param {Object} [options] - Handshake options
+   * @param {boolean} [options.bypassBreaker] - Skip the circuit breaker, for a
+   *   handshake made on behalf of a request the breaker already let through
+   * @returns {Promise<Object>} The negotiated session
+   */
+  async initializeSession(endpoint, headers, { bypassBreaker = false } = {}) {
+    const storeKey = this._sessionStoreKey(endpoint);
+    const existing = sessionStore.get(storeKey);
 
-      const response = await this._makeJsonRpcRequest(
-        this.storefrontMcpEndpoint,
-        "tools/list",
-        {},
+    if (existing) {
+      existing.lastUsedAt = Date.now();
+      this.sessions[endpoint] = existing;
+      return existing;
+    }
+
+    const sendRequest = bypassBreaker
+      ? this._sendJsonRpcRequest.bind(this)
+      : this._makeJsonRpcRequest.bind(this);
+
+    let response;
+    try {
+      response = await sendRequest(
+        endpoint,
+        "initialize",
+        {
+          protocolVersion: SUPPORTED_PROTOCOL_VERSIONS[0],
+          capabilities: {},
+          clientInfo: CLIENT_INFO,
+        },
         headers
       );
+    } catch (error) {
+      if (![400, 404, 405].includes(error.status)) throw error;
+      response = { error: { message: error.message } };
+    }
 
-      const toolsData =
-        response?.result && response.result.tools ? response.result.tools : [];
-      const storefrontTools = this._formatToolsData(toolsData);
+    // Servers that predate the lifecycle methods reject initialize; keep
+    // talking to them without a session and assume tools are available.
+    if (response.error || !response.result) {
+      console.warn(
+        `MCP server at ${endpoint} did not accept initialize, continuing without a session:`,
+        response.error?.message
+      );
+      const legacySession = {
+        sessionId: null,
+        protocolVersion: null,
+        capabilities: null,
+        serverInfo: null,
+        lastUsedAt: Date.now(),
+      };
+      this.sessions[endpoint] = legacySession;
+      return legacySession;
+    }
 
-      this.storefrontTools = storefrontTools;
-      this.tools = [...this.tools, ...storefrontTools];
+    const { protocolVersion, capabilities, serverInfo } = response.result;
 
-      return storefrontTools;
-    } catch (e) {
-      console.error("Failed to connect to MCP server: ", e);
-      throw e;
+    if (!SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+      throw new Error(
+        `MCP server at ${endpoint} requires unsupported protocol version ${protocolVersion}`
+      );
     }
+
+    const session = {
+      sessionId: response.sessionId || null,
+      protocolVersion,
+      capabilities: capabilities || {},
+      serverInfo: serverInfo || null,
+      lastUsedAt: Date.now(),
+    };
+    this.sessions[endpoint] = session;
+
+    await this._sendNotification(endpoint, "notifications/initialized", {}, headers, {
+      bypassBreaker,
+    });
+
+    pruneExpiredSessions();
+    sessionStore.set(storeKey, session);
+
+    console.log(
+      `Initialized MCP session with ${serverInfo?.name || endpoint} (protocol ${protocolVersion})`
+    );
+
+    return session;
   }
 
   /**
-   * Dispatches a tool call to the appropriate MCP server based on the tool name.
+   * Gets the capabilities negotiated with an MCP endpoint.
+   * @param {string} endpoint - The MCP endpoint URL
+   * @returns {Object|null} The server capabilities, or null if unknown
    */
-  async callTool(toolName, toolArgs) {
-    if (this.customerTools.some((tool) => tool.name === toolName)) {
-      return this.callCustomerTool(toolName, toolArgs);
-    } else if (this.storefrontTools.some((tool) => tool.name === toolName)) {
-      return this.callStorefrontTool(toolName, toolArgs);
-    } else {
+  getServerCapabilities(endpoint) {
+    return this.sessions[endpoint]?.capabilities || null;
+  }
+
+  /**
+   * Checks whether an MCP endpoint advertised a capability during initialize.
+   * Servers that did not negotiate capabilities are assumed to support everything.
+   * @param {string} endpoint - The MCP endpoint URL
+   * @param {string} capability - Capability name (e.g. "tools", "resources", "prompts")
+   * @returns {boolean} Whether the capability is available
+   */
+  supportsCapability(endpoint, capability) {
+    const capabilities = this.getServerCapabilities(endpoint);
+    return !capabilities || Boolean(capabilities[capability]);
+  }
+
+  /**
+   * Checks whether any connected server advertised a capability, e.g. before
+   * asking for prompts or resources.
+   * @param {string} capability - Capability name (e.g. "resources", "prompts")
+   * @returns {boolean} Whether a connected server offers the capability
+   */
+  hasCapability(capability) {
+    return this._connectedServers(capability).length > 0;
+  }
+
+  /**
+   * Dispatches a tool call to the MCP server that advertised the tool.
+   * @param {string} toolName - The tool to call, as exposed to the model
+   * @param {Object} toolArgs - The tool arguments
+   * @param {Object} [options] - Call options
+   * @param {Function} [options.onProgress] - Receives progress notifications for the call
+   * @param {boolean} [options.confirmed] - The customer approved this call; required
+   *   for tools whose policy asks for confirmation
+   */
+  async callTool(toolName, toolArgs, options = {}) {
+    if (!this.toolPolicy.isAllowed(toolName)) {
+      console.log(`Tool ${toolName} is not allowed for this shop`);
+      return {
+        error: {
+          type: "tool_not_allowed",
+          data: `The ${toolName} tool is not available in this store.`,
+        },
+      };
+    }
+
+    if (this.toolPolicy.requiresConfirmation(toolName) && !options.confirmed) {
+      console.log(`Tool ${toolName} needs the customer's confirmation`);
+      return {
+        error: {
+          type: "confirmation_required",
+          data: `The ${toolName} tool can only run after the customer confirms the call.`,
+        },
+      };
+    }
+
+    const route = this.toolRoutes.get(toolName);
+    if (!route) {
       throw new Error(`Tool ${toolName} not found`);
     }
+
+    // Reject malformed arguments locally so the model gets actionable feedback
+    // instead of an opaque upstream 400.
+    const validation = validateToolArguments(route.inputSchema, toolArgs);
+    if (!validation.valid) {
+      console.log(`Invalid arguments for tool ${toolName}`, validation.errors);
+      return {
+        error: {
+          type: "invalid_arguments",
+          data: formatValidationErrors(toolName, validation.errors),
+          violations: validation.errors,
+        },
+      };
+    }
+
+    return this.callServerTool(route.serverName, route.toolName, toolArgs, options);
   }
 
   /**
-   * Calls a tool on the storefront MCP server.
+   * Calls a tool on a registered MCP server.
+   * @param {string} serverName - Name of a registered server
+   * @param {string} toolName - The tool name as known to that server (unprefixed)
+   * @param {Object} toolArgs - The tool arguments
+   * @param {Object} [options] - Call options (see callTool)
    */
-  async callStorefrontTool(toolName, toolArgs) {
+  async callServerTool(serverName, toolName, toolArgs, options = {}) {
+    const server = this.servers.get(serverName);
+    if (!server) {
+      throw new Error(`MCP server ${serverName} is not registered`);
+    }
+
+    if (server.requiresCustomerAuth) {
+      return this.callCustomerTool(toolName, toolArgs, options);
+    }
+
     try {
-      console.log("Calling storefront tool", toolName, toolArgs);
+      console.log(`Calling ${serverName} tool`, toolName, toolArgs);
 
-      const headers = {
-        "Content-Type": "application/json",
-      };
+      const headers = await this._buildHeaders(server);
 
       const response = await this._makeJsonRpcRequest(
-        this.storefrontMcpEndpoint,
+        server.endpoint,
         "tools/call",
         {
           name: toolName,
           arguments: toolArgs,
         },
-        headers
+        headers,
+        { onProgress: options.onProgress }
       );
 
       return response.result || response;
     } catch (error) {
       console.error(`Error calling tool ${toolName}:`, error);
+      if (isUnavailableError(error)) {
+        return unavailableToolResponse(toolName);
+      }
       throw error;
     }
   }
 
+  /**
+   * Calls a tool on the storefront MCP server.
+   */
+  async callStorefrontTool(toolName, toolArgs, options = {}) {
+    return this.callServerTool(STOREFRONT_SERVER, toolName, toolArgs, options);
+  }
+
   /**
    * Calls a tool on the customer MCP server (handles auth).
    */
-  async callCustomerTool(toolName, toolArgs) {
+  async callCustomerTool(toolName, toolArgs, options = {}) {
     try {
       console.log("Calling customer tool", toolName, toolArgs);
 
-      let accessToken = this.customerAccessToken;
-
-      if (!accessToken) {
-        const dbToken = await getCustomerToken(this.conversationId);
-        if (dbToken?.accessToken) {
-          accessToken = dbToken.accessToken;
-          this.customerAccessToken = accessToken;
-        } else {
-          console.log(
-            "No token in database for conversation:",
-            this.conversationId
-          );
-        }
-      }
-
-      const headers = {
-        "Content-Type": "application/json",
-        ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
-      };
+      const server = this.servers.get(CUSTOMER_SERVER);
+      const headers = await this._buildHeaders(server);
 
       try {
         const response = await this._makeJsonRpcRequest(
-          this.customerMcpEndpoint,
+          server.endpoint,
           "tools/call",
           {
             name: toolName,
             arguments: toolArgs,
           },
-          headers
+          headers,
+          { onProgress: options.onProgress }
         );
 
         return response.result || response;
@@ -228,6 +579,9 @@ class MCPClient {
       }
     } catch (error) {
       console.error(`Error calling tool ${toolName}:`, error);
+      if (isUnavailableError(error)) {
+        return unavailableToolResponse(toolName);
+      }
       return {
         error: {
           type: "internal_error",
@@ -238,41 +592,604 @@ class MCPClient {
   }
 
   /**
-   * Makes a JSON-RPC request and provides helpful diagnostics if the response is HTML.
+   * Lists the resources offered by every connected server that supports them.
+   * @returns {Promise<Array>} Resources ({ uri, name, description, mimeType, server })
    */
-  async _makeJsonRpcRequest(endpoint, method, params, headers) {
-    const res = await fetch(endpoint, {
-      method: "POST",
-      headers,
-      body: JSON.stringify({
-        jsonrpc: "2.0",
-        method,
-        id: Date.now(),
-        params,
-      }),
-    });
+  async listResources() {
+    const resources = [];
+
+    for (const server of this._connectedServers("resources")) {
+      try {
+        const serverResources = await this._listPaginated(server, "resources/list", "resources");
+        resources.push(...serverResources.map((resource) => ({ ...resource, server: server.name })));
+      } catch (error) {
+        console.warn(`Failed to list resources on ${server.name}:`, error.message);
+      }
+    }
 
-    const text = await res.text();
+    return resources;
+  }
 
-    if (!res.ok) {
-      const err = new Error(
-        `Request failed: ${res.status} ${res.statusText} — ${text.slice(0, 200)}`
-      );
-      err.status = res.status;
-      throw err;
+  /**
+   * Reads a resource from the first connected server that can serve it.
+   * @param {string} uri - The resource URI
+   * @returns {Promise<Array|null>} The resource contents, or null if no server has it
+   */
+  async readResource(uri) {
+    for (const server of this._connectedServers("resources")) {
+      try {
+        const response = await this._makeJsonRpcRequest(
+          server.endpoint,
+          "resources/read",
+          { uri },
+          await this._buildHeaders(server)
+        );
+
+        if (response.result?.contents) {
+          return response.result.contents;
+        }
+      } catch (error) {
+        console.warn(`Failed to read resource ${uri} from ${server.name}:`, error.message);
+      }
     }
 
+    return null;
+  }
+
+  /**
+   * Lists the prompts offered by every connected server that supports them.
+   * @returns {Promise<Array>} Prompts ({ name, description, arguments, server })
+   */
+  async listPrompts() {
+    const prompts = [];
+
+    for (const server of this._connectedServers("prompts")) {
+      try {
+        const serverPrompts = await this._listPaginated(server, "prompts/list", "prompts");
+        prompts.push(...serverPrompts.map((prompt) => ({ ...prompt, server: server.name })));
+      } catch (error) {
+        console.warn(`Failed to list prompts on ${server.name}:`, error.message);
+      }
+    }
+
+    return prompts;
+  }
+
+  /**
+   * Renders a prompt template from the first connected server that offers it.
+   * @param {string} name - The prompt name
+   * @param {Object} [args] - Prompt arguments
+   * @returns {Promise<Object|null>} The prompt ({ description, messages }), or null if not found
+   */
+  async getPrompt(name, args = {}) {
+    for (const server of this._connectedServers("prompts")) {
+      try {
+        const response = await this._makeJsonRpcRequest(
+          server.endpoint,
+          "prompts/get",
+          { name, arguments: args },
+          await this._buildHeaders(server)
+        );
+
+        if (response.result?.messages) {
+          return response.result;
+        }
+      } catch (error) {
+        console.warn(`Failed to get prompt ${name} from ${server.name}:`, error.message);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Makes a JSON-RPC request through the endpoint's circuit breaker, retrying
+   * idempotent methods with jittered backoff on network errors, timeouts and 5xx.
+   * @param {string} endpoint - The MCP endpoint URL
+   * @param {string} method - The JSON-RPC method
+   * @param {Object} params - The JSON-RPC params
+   * @param {Object} headers - Request headers
+   * @param {Object} [options] - Request options (see _sendJsonRpcRequest)
+   * @returns {Promise<Object>} The JSON-RPC response message
+   */
+  async _makeJsonRpcRequest(endpoint, method, params, headers, options = {}) {
+    const breaker = getCircuitBreaker(endpoint);
+    const { retry } = AppConfig.mcp;
+    const maxAttempts = retry.idempotentMethods.includes(method)
+      ? retry.maxAttempts
+      : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      if (!breaker.canRequest()) {
+        const err = new Error(`MCP server at ${endpoint} is temporarily unavailable`);
+        err.status = 503;
+        err.code = "circuit_open";
+        throw err;
+      }
+
+      try {
+        const response = await this._sendJsonRpcRequest(
+          endpoint,
+          method,
+          params,
+          headers,
+          options
+        );
+        breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        // Every request reports back so a half-open trial always resolves
+        if (error.code === "aborted") {
+          breaker.recordAbort();
+          throw error;
+        }
+        if (!isRetryableError(error)) {
+          // The server answered, even if not with what we asked for
+          breaker.recordSuccess();
+          throw error;
+        }
+
+        breaker.recordFailure();
+
+        if (attempt >= maxAttempts) throw error;
+
+        const delay = backoffDelay(attempt, retry);
+        console.warn(
+          `MCP ${method} to ${endpoint} failed (${error.message}), retrying in ${delay}ms`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Sends a single JSON-RPC request and provides helpful diagnostics if the response is HTML.
+   * Attaches the negotiated session headers and renegotiates once if the server
+   * reports that the session has expired. Accepts both plain JSON responses and
+   * Streamable HTTP (text/event-stream) responses.
+   * @param {string} endpoint - The MCP endpoint URL
+   * @param {string} method - The JSON-RPC method
+   * @param {Object} params - The JSON-RPC params
+   * @param {Object} headers - Request headers
+   * @param {Object} [options] - Request options
+   * @param {Function} [options.onProgress] - Receives notifications/progress params
+   * @param {boolean} [options.isRetry] - Set when replaying after a session reset
+   * @returns {Promise<Object>} The JSON-RPC response message
+   */
+  async _sendJsonRpcRequest(endpoint, method, params, headers, options = {}) {
+    const { onProgress, isRetry = false } = options;
+    if (this.abortSignal?.aborted) {
+      throw abortedError(method, endpoint);
+    }
+
+    const session = this.sessions[endpoint];
+    // Unique within the session even for calls started in the same
+    // millisecond or by another client sharing the conversation's session
+    const requestId = randomUUID();
+    const timeoutMs =
+      AppConfig.mcp.timeoutsMs[method] || AppConfig.mcp.timeoutsMs.default;
+
+    // Ask the server to report progress for this request when we can relay it.
+    const requestParams = onProgress
+      ? { ...params, _meta: { ...params?._meta, progressToken: requestId } }
+      : params;
+
+    // The timeout covers reading the body too, since SSE responses can stall mid-stream.
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const cancel = () => controller.abort();
+    this.abortSignal?.addEventListener("abort", cancel);
+
+    try {
+      const res = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          Accept: "application/json, text/event-stream",
+          ...headers,
+          ...this._sessionHeaders(endpoint),
+        },
+        body: JSON.stringify({
+          jsonrpc: "2.0",
+          method,
+          id: requestId,
+          params: requestParams,
+        }),
+        signal: controller.signal,
+      });
+
+      // A 404 for a request carrying a session ID means the server dropped the
+      // session; start a new one and replay the request.
+      if (res.status === 404 && session?.sessionId && !isRetry) {
+        console.log(`MCP session expired for ${endpoint}, reinitializing`);
+        clearTimeout(timer);
+        this._forgetSession(endpoint);
+        // This request may be the breaker's half-open trial, which would turn
+        // the handshake away, so it goes straight to the server
+        await this.initializeSession(endpoint, headers, { bypassBreaker: true });
+        return this._sendJsonRpcRequest(endpoint, method, params, headers, {
+          ...options,
+          isRetry: true,
+        });
+      }
+
+      return await this._readJsonRpcResponse(res, endpoint, method, requestId, options);
+    } catch (error) {
+      if (this.abortSignal?.aborted) {
+        // Let the server stop work the shopper no longer needs
+        if (method !== "initialize") {
+          this._sendNotification(
+            endpoint,
+            "notifications/cancelled",
+            { requestId, reason: "Client disconnected" },
+            headers
+          ).catch(() => {});
+        }
+        throw abortedError(method, endpoint);
+      }
+      if (controller.signal.aborted) {
+        const err = new Error(`MCP ${method} to ${endpoint} timed out after ${timeoutMs}ms`);
+        err.status = 504;
+        err.code = "timeout";
+        throw err;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      this.abortSignal?.removeEventListener("abort", cancel);
+    }
+  }
+
+  /**
+   * Reads the body of a JSON-RPC response, either plain JSON or an SSE stream.
+   * @param {Response} res - The fetch response
+   * @param {string} endpoint - The MCP endpoint URL
+   * @param {string} method - The JSON-RPC method that was called
+   * @param {string} requestId - The JSON-RPC ID of the request
+   * @param {Object} options - Request options passed to _sendJsonRpcRequest
+   * @returns {Promise<Object>} The JSON-RPC response message
+   */
+  async _readJsonRpcResponse(res, endpoint, method, requestId, options) {
+    const contentType = res.headers.get("content-type") || "";
+
+    let body;
+    if (res.ok && contentType.includes("text/event-stream")) {
+      body = await this._readEventStream(res, endpoint, requestId, options);
+    } else {
+      const text = await res.text();
+
+      if (!res.ok) {
+        const err = new Error(
+          `Request failed: ${res.status} ${res.statusText} — ${text.slice(0, 200)}`
+        );
+        err.status = res.status;
+        throw err;
+      }
+
+      try {
+        body = JSON.parse(text);
+      } catch (e) {
+        console.error("MCP response not JSON", {
+          endpoint,
+          status: res.status,
+          location: res.headers.get("location"),
+          snippet: text.slice(0, 200),
+        });
+        throw e;
+      }
+    }
+
+    if (method === "initialize") {
+      body.sessionId = res.headers.get("Mcp-Session-Id");
+    }
+    return body;
+  }
+
+  /**
+   * Reads an SSE-framed JSON-RPC response until the message answering the
+   * request arrives. Messages sent before it (progress and other server
+   * notifications) are handed to _handleServerMessage.
+   * @param {Response} res - The fetch response with a text/event-stream body
+   * @param {string} endpoint - The MCP endpoint URL
+   * @param {string} requestId - The JSON-RPC ID of the pending request
+   * @param {Object} options - Request options passed to _sendJsonRpcRequest
+   * @returns {Promise<Object>} The JSON-RPC response message
+   */
+  async _readEventStream(res, endpoint, requestId, options) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop() || "";
+
+        for (const event of events) {
+          const message = this._parseSseEvent(event);
+          if (!message) continue;
+
+          if (message.id === requestId && ("result" in message || "error" in message)) {
+            return message;
+          }
+
+          this._handleServerMessage(endpoint, message, options);
+        }
+      }
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+
+    const err = new Error(`MCP event stream from ${endpoint} ended without a response`);
+    err.status = 502;
+    throw err;
+  }
+
+  /**
+   * Extracts the JSON-RPC message from a single SSE event block.
+   * @param {string} event - Raw event text (without the trailing blank line)
+   * @returns {Object|null} The parsed message, or null for comments/empty events
+   */
+  _parseSseEvent(event) {
+    const data = event
+      .split(/\r?\n/)
+      .filter((line) => line.startsWith("data:"))
+      .map((line) => line.slice(5).replace(/^ /, ""))
+      .join("\n");
+
+    if (!data) return null;
+
     try {
-      return JSON.parse(text);
+      return JSON.parse(data);
     } catch (e) {
-      console.error("MCP response not JSON", {
-        endpoint,
-        status: res.status,
-        location: res.headers.get("location"),
-        snippet: text.slice(0, 200),
+      console.error("MCP event data not JSON", { snippet: data.slice(0, 200) });
+      return null;
+    }
+  }
+
+  /**
+   * Handles a server-initiated message received while waiting for a response.
+   * @param {string} endpoint - The MCP endpoint URL
+   * @param {Object} message - The JSON-RPC notification or request
+   * @param {Object} options - Request options passed to _makeJsonRpcRequest
+   */
+  _handleServerMessage(endpoint, message, options) {
+    if (message.method === "notifications/progress") {
+      options.onProgress?.(message.params || {});
+      return;
+    }
+
+    if (message.method === "notifications/tools/list_changed") {
+      console.log(`Tool list changed on ${endpoint}, invalidating cache`);
+      invalidateCachedTools(this.shopDomain, endpoint);
+      return;
+    }
+
+    console.log(`Ignoring MCP message ${message.method || message.id} from ${endpoint}`);
+  }
+
+  /**
+   * Sends a JSON-RPC notification (no ID, no response body expected), with the
+   * same timeout, cancellation and circuit breaker as requests.
+   * @param {Object} [options] - Notification options
+   * @param {boolean} [options.bypassBreaker] - Skip the circuit breaker
+   */
+  async _sendNotification(endpoint, method, params, headers, { bypassBreaker = false } = {}) {
+    const breaker = bypassBreaker ? null : getCircuitBreaker(endpoint);
+    if (breaker && !breaker.canRequest()) {
+      console.warn(`Skipping MCP notification ${method}: ${endpoint} is temporarily unavailable`);
+      return;
+    }
+
+    // Cancellations are sent after the client's signal fired, so they ignore it
+    const cancellable = method !== "notifications/cancelled";
+    if (cancellable && this.abortSignal?.aborted) {
+      breaker?.recordAbort();
+      throw abortedError(method, endpoint);
+    }
+
+    const timeoutMs =
+      AppConfig.mcp.timeoutsMs[method] || AppConfig.mcp.timeoutsMs.default;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const cancel = () => controller.abort();
+    if (cancellable) {
+      this.abortSignal?.addEventListener("abort", cancel);
+    }
+
+    try {
+      const res = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          Accept: "application/json, text/event-stream",
+          ...headers,
+          ...this._sessionHeaders(endpoint),
+        },
+        body: JSON.stringify({
+          jsonrpc: "2.0",
+          method,
+          params,
+        }),
+        signal: controller.signal,
       });
-      throw e;
+
+      if (res.status >= 500) {
+        breaker?.recordFailure();
+      } else {
+        breaker?.recordSuccess();
+      }
+
+      if (!res.ok) {
+        console.warn(`MCP notification ${method} rejected: ${res.status} ${res.statusText}`);
+      }
+    } catch (error) {
+      if (cancellable && this.abortSignal?.aborted) {
+        breaker?.recordAbort();
+        throw abortedError(method, endpoint);
+      }
+
+      breaker?.recordFailure();
+      if (controller.signal.aborted) {
+        const err = new Error(`MCP ${method} to ${endpoint} timed out after ${timeoutMs}ms`);
+        err.status = 504;
+        err.code = "timeout";
+        throw err;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      this.abortSignal?.removeEventListener("abort", cancel);
+    }
+  }
+
+  /**
+   * Builds the request headers for a registered server, including the
+   * customer access token for servers that require customer auth.
+   * @param {Object} server - A registered server definition
+   * @returns {Promise<Object>} Request headers
+   */
+  async _buildHeaders(server) {
+    const headers = {
+      "Content-Type": "application/json",
+      ...server.headers,
+    };
+
+    if (server.requiresCustomerAuth) {
+      if (!this.customerAccessToken && this.conversationId) {
+        const dbToken = await getCustomerToken(this.conversationId);
+        if (dbToken?.accessToken) {
+          this.customerAccessToken = dbToken.accessToken;
+        } else {
+          console.log(
+            "No token in database for conversation:",
+            this.conversationId
+          );
+        }
+      }
+
+      if (this.customerAccessToken) {
+        headers.Authorization = `Bearer ${this.customerAccessToken}`;
+      }
+    }
+
+    return headers;
+  }
+
+  /**
+   * Records which server handles each tool and applies the server's tool prefix
+   * and the shop's tool policy. Tools whose exposed name is already taken by
+   * another server, or that the policy hides, are skipped.
+   * @param {Object} server - A registered server definition
+   * @param {Array} tools - Formatted tools as returned by _formatToolsData
+   * @returns {Array} The tools as exposed to the model
+   */
+  _routeTools(server, tools) {
+    const routedTools = [];
+
+    for (const tool of tools) {
+      const exposedName = server.toolPrefix
+        ? `${server.toolPrefix}_${tool.name}`
+        : tool.name;
+      const existingRoute = this.toolRoutes.get(exposedName);
+
+      if (existingRoute && existingRoute.serverName !== server.name) {
+        console.warn(
+          `Tool ${exposedName} from ${server.name} collides with ${existingRoute.serverName}, skipping`
+        );
+        continue;
+      }
+
+      if (!this.toolPolicy.isAllowed(exposedName)) {
+        continue;
+      }
+
+      this.toolRoutes.set(exposedName, {
+        serverName: server.name,
+        toolName: tool.name,
+        inputSchema: tool.input_schema,
+      });
+      routedTools.push(this.toolPolicy.applyToTool({ ...tool, name: exposedName }));
     }
+
+    return routedTools;
+  }
+
+  /**
+   * Registered servers that have a session and advertised a capability.
+   * @param {string} capability - Capability name (e.g. "resources", "prompts")
+   * @returns {Array} Server definitions
+   */
+  _connectedServers(capability) {
+    return [...this.servers.values()].filter(
+      (server) =>
+        this.sessions[server.endpoint] &&
+        this.supportsCapability(server.endpoint, capability)
+    );
+  }
+
+  /**
+   * Calls a paginated list method, following nextCursor until exhausted.
+   * @param {Object} server - A registered server definition
+   * @param {string} method - The list method (e.g. "resources/list")
+   * @param {string} key - The result property holding the items
+   * @returns {Promise<Array>} All items
+   */
+  async _listPaginated(server, method, key) {
+    const headers = await this._buildHeaders(server);
+    const items = [];
+    let cursor;
+
+    do {
+      const response = await this._makeJsonRpcRequest(
+        server.endpoint,
+        method,
+        cursor ? { cursor } : {},
+        headers
+      );
+
+      if (response.error) {
+        throw new Error(response.error.message || `${method} failed`);
+      }
+
+      items.push(...(response.result?.[key] || []));
+      cursor = response.result?.nextCursor;
+    } while (cursor);
+
+    return items;
+  }
+
+  /**
+   * Builds the session headers for an endpoint once a session is negotiated.
+   */
+  _sessionHeaders(endpoint) {
+    const session = this.sessions[endpoint];
+    if (!session) return {};
+
+    return {
+      ...(session.sessionId ? { "Mcp-Session-Id": session.sessionId } : {}),
+      ...(session.protocolVersion
+        ? { "MCP-Protocol-Version": session.protocolVersion }
+        : {}),
+    };
+  }
+
+  /**
+   * Drops the stored session for an endpoint so the next call renegotiates.
+   */
+  _forgetSession(endpoint) {
+    delete this.sessions[endpoint];
+    sessionStore.delete(this._sessionStoreKey(endpoint));
+  }
+
+  /**
+   * Key under which a session is shared between turns of a conversation.
+   * Clients without a conversation get a key of their own.
+   */
+  _sessionStoreKey(endpoint) {
+    return `${this.conversationId || this.instanceId}::${endpoint}`;
   }
 
   /**
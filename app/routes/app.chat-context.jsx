@@ -0,0 +1,144 @@
+import { useState } from "react";
+import { json } from "@remix-run/node";
+import {
+  Form,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  TextField,
+  Button,
+  Banner,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getChatContextConfig, saveChatContextConfig } from "../db.server";
+import AppConfig from "../services/config.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const config = await getChatContextConfig(session.shop);
+
+  return json({
+    config: {
+      mcpPrompt: config?.mcpPrompt || "",
+      contextResources: config?.contextResources || "",
+    },
+    maxContextResources: AppConfig.mcp.maxContextResources,
+  });
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const { errors, config } = validateContextForm(formData);
+  if (errors.length > 0) {
+    return json({ errors }, { status: 400 });
+  }
+
+  await saveChatContextConfig(session.shop, config);
+  return json({ ok: true });
+};
+
+/**
+ * Validates the chat context form
+ * @param {FormData} formData - The submitted form
+ * @returns {Object} Validation errors and the parsed settings
+ */
+function validateContextForm(formData) {
+  const errors = [];
+  const mcpPrompt = String(formData.get("mcpPrompt") || "").trim();
+  const contextResources = String(formData.get("contextResources") || "")
+    .split(/[\n,]/)
+    .map((uri) => uri.trim())
+    .filter(Boolean);
+
+  if (mcpPrompt && !/^[\w.:/-]{1,100}$/.test(mcpPrompt)) {
+    errors.push("Prompt name contains invalid characters.");
+  }
+  if (contextResources.length > AppConfig.mcp.maxContextResources) {
+    errors.push(
+      `Add at most ${AppConfig.mcp.maxContextResources} context resources.`,
+    );
+  }
+  const invalidUris = contextResources.filter(
+    (uri) => !/^[a-z][a-z0-9+.-]*:\S+$/i.test(uri),
+  );
+  if (invalidUris.length > 0) {
+    errors.push(`Not a resource URI: ${invalidUris.join(", ")}`);
+  }
+
+  return { errors, config: { mcpPrompt, contextResources } };
+}
+
+export default function ChatContext() {
+  const { config, maxContextResources } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+
+  const [mcpPrompt, setMcpPrompt] = useState(config.mcpPrompt);
+  const [contextResources, setContextResources] = useState(
+    config.contextResources,
+  );
+
+  return (
+    <Page>
+      <TitleBar title="Chat context" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <Form method="post">
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  MCP prompt and resources
+                </Text>
+                <Text as="p" variant="bodyMd">
+                  Give the assistant a prompt and background information served
+                  by your MCP servers. Changes apply to the next chat message.
+                </Text>
+                {actionData?.errors?.length > 0 && (
+                  <Banner tone="critical">
+                    {actionData.errors.map((error) => (
+                      <p key={error}>{error}</p>
+                    ))}
+                  </Banner>
+                )}
+                {actionData?.ok && (
+                  <Banner tone="success">Chat context saved.</Banner>
+                )}
+                <TextField
+                  label="MCP prompt"
+                  name="mcpPrompt"
+                  value={mcpPrompt}
+                  onChange={setMcpPrompt}
+                  helpText="Optional name of a prompt served by your MCP servers. Replaces the widget's system prompt when found."
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Context resources"
+                  name="contextResources"
+                  value={contextResources}
+                  onChange={setContextResources}
+                  multiline={4}
+                  helpText={`Optional MCP resource URIs, one per line, such as store policies or shipping FAQs. Up to ${maxContextResources}.`}
+                  autoComplete="off"
+                />
+                <Button submit variant="primary" loading={isSubmitting}>
+                  Save settings
+                </Button>
+              </BlockStack>
+            </Form>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -22,6 +22,10 @@ export default function App() {
         <Link to="/app" rel="home">
           Home
         </Link>
+        <Link to="/app/mcp-servers">MCP servers</Link>
+        <Link to="/app/tool-policies">Tool policies</Link>
+        <Link to="/app/model-settings">Model settings</Link>
+        <Link to="/app/chat-context">Chat context</Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
@@ -0,0 +1,331 @@
+import { useState } from "react";
+import { json } from "@remix-run/node";
+import {
+  Form,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  InlineStack,
+  TextField,
+  Checkbox,
+  Button,
+  Badge,
+  Banner,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  getMcpServers,
+  saveMcpServer,
+  setMcpServerEnabled,
+  deleteMcpServer,
+} from "../db.server";
+import { STOREFRONT_SERVER, CUSTOMER_SERVER } from "../mcp-client";
+import { invalidateCachedTools } from "../services/tool-cache.server";
+
+const RESERVED_SERVER_NAMES = [STOREFRONT_SERVER, CUSTOMER_SERVER];
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const servers = await getMcpServers(session.shop);
+
+  return json({
+    servers: servers.map((server) => ({
+      id: server.id,
+      name: server.name,
+      endpoint: server.endpoint,
+      toolPrefix: server.toolPrefix,
+      enabled: server.enabled,
+      // Never send stored header values (they usually hold secrets) back to the browser
+      headerNames: Object.keys(server.headers),
+    })),
+  });
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "toggle") {
+    await setMcpServerEnabled(
+      session.shop,
+      formData.get("id"),
+      formData.get("enabled") === "true",
+    );
+    return json({ ok: true });
+  }
+
+  if (intent === "refresh_tools") {
+    const refreshed = invalidateCachedTools(session.shop);
+    return json({ refreshed });
+  }
+
+  if (intent === "delete") {
+    await deleteMcpServer(session.shop, formData.get("id"));
+    return json({ ok: true });
+  }
+
+  const { errors, server } = validateServerForm(formData);
+  if (errors.length > 0) {
+    return json({ errors }, { status: 400 });
+  }
+
+  await saveMcpServer(session.shop, server);
+  invalidateCachedTools(session.shop, server.endpoint);
+  return json({ ok: true });
+};
+
+/**
+ * Validates the add-server form and converts it into a server configuration
+ * @param {FormData} formData - The submitted form
+ * @returns {Object} Validation errors and the parsed server
+ */
+function validateServerForm(formData) {
+  const errors = [];
+  const name = String(formData.get("name") || "").trim();
+  const endpoint = String(formData.get("endpoint") || "").trim();
+  const toolPrefix = String(formData.get("toolPrefix") || "").trim();
+  const headersText = String(formData.get("headers") || "").trim();
+  const clearHeaders = formData.get("clearHeaders") === "on";
+
+  if (!/^[a-z0-9_-]{1,32}$/.test(name)) {
+    errors.push(
+      "Name must be 1-32 lowercase letters, numbers, dashes or underscores.",
+    );
+  } else if (RESERVED_SERVER_NAMES.includes(name)) {
+    errors.push(`"${name}" is reserved for the built-in Shopify MCP server.`);
+  }
+
+  try {
+    if (new URL(endpoint).protocol !== "https:") {
+      errors.push("Endpoint must use https.");
+    }
+  } catch (e) {
+    errors.push("Endpoint must be a valid URL.");
+  }
+
+  if (toolPrefix && !/^[a-zA-Z0-9]{1,16}$/.test(toolPrefix)) {
+    errors.push("Tool prefix must be 1-16 letters or numbers.");
+  }
+
+  // Stored header values are never sent to the browser, so a blank field keeps
+  // them and clearing them takes an explicit choice
+  let headers = clearHeaders ? {} : undefined;
+  if (headersText && clearHeaders) {
+    errors.push("Leave the headers blank to clear them.");
+  } else if (headersText) {
+    try {
+      headers = JSON.parse(headersText);
+      if (!headers || typeof headers !== "object" || Array.isArray(headers)) {
+        throw new Error("not an object");
+      }
+    } catch (e) {
+      errors.push(
+        'Headers must be a JSON object, e.g. {"Authorization": "Bearer ..."}.',
+      );
+    }
+  }
+
+  return {
+    errors,
+    server: {
+      name,
+      endpoint,
+      toolPrefix,
+      headers,
+      enabled: formData.get("enabled") === "on",
+    },
+  };
+}
+
+export default function McpServers() {
+  const { servers } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+
+  const [name, setName] = useState("");
+  const [endpoint, setEndpoint] = useState("");
+  const [toolPrefix, setToolPrefix] = useState("");
+  const [headers, setHeaders] = useState("");
+  const [clearHeaders, setClearHeaders] = useState(false);
+  const [enabled, setEnabled] = useState(true);
+
+  return (
+    <Page>
+      <TitleBar title="MCP servers" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text as="h2" variant="headingMd">
+                Connected servers
+              </Text>
+              <Text as="p" variant="bodyMd">
+                The storefront and customer account MCP servers are always
+                available. Servers added here are offered to the chat agent in
+                addition to them.
+              </Text>
+              {servers.length === 0 ? (
+                <Text as="p" tone="subdued">
+                  No additional MCP servers configured.
+                </Text>
+              ) : (
+                servers.map((server) => (
+                  <InlineStack
+                    key={server.id}
+                    align="space-between"
+                    blockAlign="center"
+                  >
+                    <BlockStack gap="100">
+                      <InlineStack gap="200">
+                        <Text as="span" variant="headingSm">
+                          {server.name}
+                        </Text>
+                        <Badge tone={server.enabled ? "success" : undefined}>
+                          {server.enabled ? "Enabled" : "Disabled"}
+                        </Badge>
+                      </InlineStack>
+                      <Text as="span" tone="subdued">
+                        {server.endpoint}
+                        {server.toolPrefix
+                          ? ` · prefix ${server.toolPrefix}_`
+                          : ""}
+                        {server.headerNames.length > 0
+                          ? ` · headers: ${server.headerNames.join(", ")}`
+                          : ""}
+                      </Text>
+                    </BlockStack>
+                    <InlineStack gap="200">
+                      <Form method="post">
+                        <input type="hidden" name="intent" value="toggle" />
+                        <input type="hidden" name="id" value={server.id} />
+                        <input
+                          type="hidden"
+                          name="enabled"
+                          value={server.enabled ? "false" : "true"}
+                        />
+                        <Button submit disabled={isSubmitting}>
+                          {server.enabled ? "Disable" : "Enable"}
+                        </Button>
+                      </Form>
+                      <Form method="post">
+                        <input type="hidden" name="intent" value="delete" />
+                        <input type="hidden" name="id" value={server.id} />
+                        <Button submit tone="critical" disabled={isSubmitting}>
+                          Remove
+                        </Button>
+                      </Form>
+                    </InlineStack>
+                  </InlineStack>
+                ))
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+        <Layout.Section variant="oneThird">
+          <BlockStack gap="500">
+            <Card>
+              <Form method="post">
+                <input type="hidden" name="intent" value="refresh_tools" />
+                <BlockStack gap="300">
+                  <Text as="h2" variant="headingMd">
+                    Tool catalog
+                  </Text>
+                  <Text as="p" variant="bodyMd">
+                    Tool lists are cached for a few minutes. Refresh after
+                    changing tools on an MCP server to pick them up immediately.
+                  </Text>
+                  {actionData?.refreshed !== undefined && (
+                    <Banner tone="success">
+                      Tool catalog will be reloaded on the next chat message.
+                    </Banner>
+                  )}
+                  <Button submit loading={isSubmitting}>
+                    Refresh tools
+                  </Button>
+                </BlockStack>
+              </Form>
+            </Card>
+            <Card>
+              <Form method="post">
+                <input type="hidden" name="intent" value="save" />
+                <BlockStack gap="300">
+                  <Text as="h2" variant="headingMd">
+                    Add or update a server
+                  </Text>
+                  {actionData?.errors?.length > 0 && (
+                    <Banner tone="critical">
+                      {actionData.errors.map((error) => (
+                        <p key={error}>{error}</p>
+                      ))}
+                    </Banner>
+                  )}
+                  <TextField
+                    label="Name"
+                    name="name"
+                    value={name}
+                    onChange={setName}
+                    helpText="Saving an existing name updates that server."
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Endpoint"
+                    name="endpoint"
+                    value={endpoint}
+                    onChange={setEndpoint}
+                    placeholder="https://loyalty.example.com/mcp"
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Tool prefix"
+                    name="toolPrefix"
+                    value={toolPrefix}
+                    onChange={setToolPrefix}
+                    helpText="Tools are exposed as prefix_toolname."
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Headers (JSON)"
+                    name="headers"
+                    value={headers}
+                    onChange={setHeaders}
+                    multiline={3}
+                    placeholder='{"Authorization": "Bearer ..."}'
+                    helpText="Leave blank to keep the headers already saved for this server."
+                    autoComplete="off"
+                  />
+                  <Checkbox
+                    label="Clear saved headers"
+                    name="clearHeaders"
+                    value="on"
+                    checked={clearHeaders}
+                    onChange={setClearHeaders}
+                  />
+                  <Checkbox
+                    label="Enabled"
+                    name="enabled"
+                    value="on"
+                    checked={enabled}
+                    onChange={setEnabled}
+                  />
+                  <Button submit variant="primary" loading={isSubmitting}>
+                    Save server
+                  </Button>
+                </BlockStack>
+              </Form>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
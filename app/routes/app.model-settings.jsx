@@ -0,0 +1,250 @@
+import { useState } from "react";
+import { json } from "@remix-run/node";
+import {
+  Form,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  TextField,
+  Select,
+  Button,
+  Banner,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getModelConfig, saveModelConfig } from "../db.server";
+import AppConfig from "../services/config.server";
+import {
+  LLM_PROVIDERS,
+  getMaxOutputTokens,
+} from "../services/llm-provider.server";
+
+// Anthropic's minimum extended thinking budget
+const MIN_THINKING_BUDGET = 1024;
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const config = await getModelConfig(session.shop);
+
+  return json({
+    config: {
+      provider: config?.provider || AppConfig.llm.provider,
+      model: config?.model || "",
+      maxTokens: config?.maxTokens ?? "",
+      temperature: config?.temperature ?? "",
+      thinkingBudget: config?.thinkingBudget ?? "",
+    },
+    // LLM_PROVIDERS lives in a server module, so the component gets it from here
+    providers: LLM_PROVIDERS,
+    defaults: {
+      anthropicModel: AppConfig.api.defaultModel,
+      openaiModel: AppConfig.llm.openaiCompatible.model,
+      maxTokens: AppConfig.api.maxTokens,
+    },
+  });
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const { errors, config } = validateModelForm(formData);
+  if (errors.length > 0) {
+    return json({ errors }, { status: 400 });
+  }
+
+  await saveModelConfig(session.shop, config);
+  return json({ ok: true });
+};
+
+/**
+ * Validates the model settings form. Empty fields mean "use the default".
+ * @param {FormData} formData - The submitted form
+ * @returns {Object} Validation errors and the parsed settings
+ */
+function validateModelForm(formData) {
+  const errors = [];
+  const provider = String(formData.get("provider") || "");
+  const model = String(formData.get("model") || "").trim();
+  const maxTokens = parseOptionalNumber(formData.get("maxTokens"));
+  const temperature = parseOptionalNumber(formData.get("temperature"));
+  const thinkingBudget = parseOptionalNumber(formData.get("thinkingBudget"));
+
+  if (!Object.values(LLM_PROVIDERS).includes(provider)) {
+    errors.push("Choose a supported provider.");
+  }
+  if (model && !/^[\w.:/-]{1,100}$/.test(model)) {
+    errors.push("Model name contains invalid characters.");
+  }
+  const modelLimit = getMaxOutputTokens(
+    model ||
+      (provider === LLM_PROVIDERS.ANTHROPIC
+        ? AppConfig.api.defaultModel
+        : AppConfig.llm.openaiCompatible.model),
+  );
+  if (
+    maxTokens !== null &&
+    (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > modelLimit)
+  ) {
+    errors.push(
+      `Max tokens must be a whole number between 1 and ${modelLimit} for this model.`,
+    );
+  }
+  if (
+    temperature !== null &&
+    (Number.isNaN(temperature) || temperature < 0 || temperature > 1)
+  ) {
+    errors.push("Temperature must be between 0 and 1.");
+  }
+  if (
+    thinkingBudget !== null &&
+    thinkingBudget !== 0 &&
+    (!Number.isInteger(thinkingBudget) || thinkingBudget < MIN_THINKING_BUDGET)
+  ) {
+    errors.push(
+      `Thinking budget must be 0 (off) or a whole number of at least ${MIN_THINKING_BUDGET}.`,
+    );
+  }
+  if (thinkingBudget && provider !== LLM_PROVIDERS.ANTHROPIC) {
+    errors.push("Extended thinking is only available with Anthropic.");
+  }
+  // Thinking tokens count toward max tokens, so the budget must leave room for the answer
+  const effectiveMaxTokens = maxTokens ?? AppConfig.api.maxTokens;
+  if (
+    thinkingBudget &&
+    Number.isInteger(effectiveMaxTokens) &&
+    thinkingBudget >= effectiveMaxTokens
+  ) {
+    errors.push(
+      `Thinking budget must be less than max tokens (${effectiveMaxTokens}).`,
+    );
+  }
+
+  return {
+    errors,
+    config: { provider, model, maxTokens, temperature, thinkingBudget },
+  };
+}
+
+/**
+ * Parses a numeric form field, treating an empty value as not set
+ * @param {FormDataEntryValue|null} value - The submitted value
+ * @returns {number|null} The number, NaN if it is not numeric, or null if empty
+ */
+function parseOptionalNumber(value) {
+  const text = String(value ?? "").trim();
+  return text === "" ? null : Number(text);
+}
+
+export default function ModelSettings() {
+  const { config, providers, defaults } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+
+  const [provider, setProvider] = useState(config.provider);
+  const [model, setModel] = useState(config.model);
+  const [maxTokens, setMaxTokens] = useState(String(config.maxTokens));
+  const [temperature, setTemperature] = useState(String(config.temperature));
+  const [thinkingBudget, setThinkingBudget] = useState(
+    String(config.thinkingBudget),
+  );
+
+  const providerOptions = [
+    { label: "Anthropic (Claude)", value: providers.ANTHROPIC },
+    { label: "OpenAI-compatible", value: providers.OPENAI_COMPATIBLE },
+  ];
+  const isAnthropic = provider === providers.ANTHROPIC;
+
+  return (
+    <Page>
+      <TitleBar title="Model settings" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <Form method="post">
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Chat model
+                </Text>
+                <Text as="p" variant="bodyMd">
+                  Changes apply to the next chat message. Leave a field empty to
+                  use the default.
+                </Text>
+                {actionData?.errors?.length > 0 && (
+                  <Banner tone="critical">
+                    {actionData.errors.map((error) => (
+                      <p key={error}>{error}</p>
+                    ))}
+                  </Banner>
+                )}
+                {actionData?.ok && (
+                  <Banner tone="success">Model settings saved.</Banner>
+                )}
+                <Select
+                  label="Provider"
+                  name="provider"
+                  options={providerOptions}
+                  value={provider}
+                  onChange={setProvider}
+                />
+                <TextField
+                  label="Model"
+                  name="model"
+                  value={model}
+                  onChange={setModel}
+                  placeholder={
+                    isAnthropic ? defaults.anthropicModel : defaults.openaiModel
+                  }
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Max tokens"
+                  name="maxTokens"
+                  type="number"
+                  value={maxTokens}
+                  onChange={setMaxTokens}
+                  placeholder={String(defaults.maxTokens)}
+                  helpText="Maximum length of each response, including any extended thinking."
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Temperature"
+                  name="temperature"
+                  type="number"
+                  step={0.1}
+                  value={temperature}
+                  onChange={setTemperature}
+                  helpText="0 to 1. Lower values give more consistent answers. Ignored while extended thinking is on."
+                  autoComplete="off"
+                />
+                {isAnthropic && (
+                  <TextField
+                    label="Extended thinking budget"
+                    name="thinkingBudget"
+                    type="number"
+                    value={thinkingBudget}
+                    onChange={setThinkingBudget}
+                    placeholder="0"
+                    helpText={`Tokens the model may spend reasoning before it answers, out of max tokens. 0 turns thinking off; at least ${MIN_THINKING_BUDGET} otherwise.`}
+                    autoComplete="off"
+                  />
+                )}
+                <Button submit variant="primary" loading={isSubmitting}>
+                  Save settings
+                </Button>
+              </BlockStack>
+            </Form>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,224 @@
+import { useState } from "react";
+import { json } from "@remix-run/node";
+import {
+  Form,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  InlineStack,
+  TextField,
+  Select,
+  Checkbox,
+  Button,
+  Badge,
+  Banner,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  getToolPolicies,
+  saveToolPolicy,
+  deleteToolPolicy,
+} from "../db.server";
+import { TOOL_ACCESS } from "../services/tool-policy.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const policies = await getToolPolicies(session.shop);
+
+  // TOOL_ACCESS lives in a server module, so the component gets it from here
+  return json({ policies, accessLevels: TOOL_ACCESS });
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  if (formData.get("intent") === "delete") {
+    await deleteToolPolicy(session.shop, formData.get("id"));
+    return json({ ok: true });
+  }
+
+  const toolName = String(formData.get("toolName") || "").trim();
+  const access = String(formData.get("access") || TOOL_ACCESS.DEFAULT);
+  const errors = [];
+
+  if (!/^[a-zA-Z0-9_-]{1,64}$/.test(toolName)) {
+    errors.push(
+      "Tool name must be 1-64 letters, numbers, dashes or underscores.",
+    );
+  }
+  if (!Object.values(TOOL_ACCESS).includes(access)) {
+    errors.push("Access must be default, allow or deny.");
+  }
+  if (errors.length > 0) {
+    return json({ errors }, { status: 400 });
+  }
+
+  await saveToolPolicy(session.shop, {
+    toolName,
+    access,
+    requiresConfirmation: formData.get("requiresConfirmation") === "on",
+    descriptionOverride: String(
+      formData.get("descriptionOverride") || "",
+    ).trim(),
+  });
+  return json({ ok: true });
+};
+
+export default function ToolPolicies() {
+  const { policies, accessLevels } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+
+  const [toolName, setToolName] = useState("");
+  const [access, setAccess] = useState(accessLevels.DEFAULT);
+  const [requiresConfirmation, setRequiresConfirmation] = useState(false);
+  const [descriptionOverride, setDescriptionOverride] = useState("");
+
+  const accessOptions = [
+    { label: "Default", value: accessLevels.DEFAULT },
+    { label: "Allow", value: accessLevels.ALLOW },
+    { label: "Deny", value: accessLevels.DENY },
+  ];
+
+  const editPolicy = (policy) => {
+    setToolName(policy.toolName);
+    setAccess(policy.access);
+    setRequiresConfirmation(policy.requiresConfirmation);
+    setDescriptionOverride(policy.descriptionOverride || "");
+  };
+
+  return (
+    <Page>
+      <TitleBar title="Tool policies" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text as="h2" variant="headingMd">
+                Policies
+              </Text>
+              <Text as="p" variant="bodyMd">
+                Denied tools are never offered to the chat agent. If any tool is
+                set to Allow, only allowed tools are offered. Tools with a
+                prefix from an added MCP server use their prefixed name.
+              </Text>
+              {policies.length === 0 ? (
+                <Text as="p" tone="subdued">
+                  No tool policies configured. All tools are available.
+                </Text>
+              ) : (
+                policies.map((policy) => (
+                  <InlineStack
+                    key={policy.id}
+                    align="space-between"
+                    blockAlign="center"
+                  >
+                    <BlockStack gap="100">
+                      <InlineStack gap="200">
+                        <Text as="span" variant="headingSm">
+                          {policy.toolName}
+                        </Text>
+                        <Badge
+                          tone={
+                            policy.access === accessLevels.DENY
+                              ? "critical"
+                              : policy.access === accessLevels.ALLOW
+                                ? "success"
+                                : undefined
+                          }
+                        >
+                          {policy.access}
+                        </Badge>
+                        {policy.requiresConfirmation && (
+                          <Badge tone="attention">Requires confirmation</Badge>
+                        )}
+                      </InlineStack>
+                      {policy.descriptionOverride && (
+                        <Text as="span" tone="subdued">
+                          {policy.descriptionOverride}
+                        </Text>
+                      )}
+                    </BlockStack>
+                    <InlineStack gap="200">
+                      <Button onClick={() => editPolicy(policy)}>Edit</Button>
+                      <Form method="post">
+                        <input type="hidden" name="intent" value="delete" />
+                        <input type="hidden" name="id" value={policy.id} />
+                        <Button submit tone="critical" disabled={isSubmitting}>
+                          Remove
+                        </Button>
+                      </Form>
+                    </InlineStack>
+                  </InlineStack>
+                ))
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+        <Layout.Section variant="oneThird">
+          <Card>
+            <Form method="post">
+              <input type="hidden" name="intent" value="save" />
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Add or update a policy
+                </Text>
+                {actionData?.errors?.length > 0 && (
+                  <Banner tone="critical">
+                    {actionData.errors.map((error) => (
+                      <p key={error}>{error}</p>
+                    ))}
+                  </Banner>
+                )}
+                <TextField
+                  label="Tool name"
+                  name="toolName"
+                  value={toolName}
+                  onChange={setToolName}
+                  placeholder="update_cart"
+                  autoComplete="off"
+                />
+                <Select
+                  label="Access"
+                  name="access"
+                  options={accessOptions}
+                  value={access}
+                  onChange={setAccess}
+                />
+                <Checkbox
+                  label="Require customer confirmation"
+                  name="requiresConfirmation"
+                  value="on"
+                  checked={requiresConfirmation}
+                  onChange={setRequiresConfirmation}
+                />
+                <TextField
+                  label="Description override"
+                  name="descriptionOverride"
+                  value={descriptionOverride}
+                  onChange={setDescriptionOverride}
+                  multiline={3}
+                  helpText="Replaces the description the MCP server provides, to steer when the agent uses the tool."
+                  autoComplete="off"
+                />
+                <Button submit variant="primary" loading={isSubmitting}>
+                  Save policy
+                </Button>
+              </BlockStack>
+            </Form>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -4,6 +4,7 @@
  * Chat API Route
  * Handles chat interactions with Claude API and tools
  */
+import { randomUUID } from "node:crypto";
 import { json } from "@remix-run/node";
 import MCPClient from "../mcp-client";
 import {
@@ -11,11 +12,44 @@ import {
   getConversationHistory,
   storeCustomerAccountUrl,
   getCustomerAccountUrl,
+  getMcpServers,
+  getToolPolicies,
+  recordTurnUsage,
+  getModelConfig,
+  getChatContextConfig,
+  getConversationCartId,
+  storeConversationCartId,
 } from "../db.server";
 import AppConfig from "../services/config.server";
-import { createSseStream } from "../services/streaming.server";
-import { createClaudeService } from "../services/claude.server";
+import {
+  createSseStream,
+  resumeSseStream,
+  stopSseStream,
+  hasActiveTurn,
+} from "../services/streaming.server";
+import { createLlmService } from "../services/llm-provider.server";
 import { createToolService } from "../services/tool.server";
+import { createToolPolicy } from "../services/tool-policy.server";
+import {
+  createConfirmation,
+  requestConfirmation,
+  decideConfirmation,
+  describeResumedToolCall,
+  createUnconfirmedToolResult,
+  CONFIRMATION_STATUS,
+} from "../services/confirmation.server";
+import { createContextService } from "../services/context.server";
+import {
+  buildAddToCartArguments,
+  describeCartAddition,
+  extractCart,
+} from "../services/cart.server";
+import {
+  SSE_PROTOCOL_VERSION,
+  PROTOCOL_VERSION_HEADER,
+  SSE_EVENT_SCHEMAS,
+  isSupportedProtocolVersion,
+} from "../services/sse-protocol.server";
 import { unauthenticated } from "../shopify.server";
 
 /**
@@ -62,11 +96,24 @@ export async function loader({ request }) {
 
   const url = new URL(request.url);
 
+  // Publish the event protocol - matches /chat?protocol=true
+  if (url.searchParams.has("protocol")) {
+    return json(
+      { version: SSE_PROTOCOL_VERSION, events: SSE_EVENT_SCHEMAS },
+      { headers: getCorsHeaders(request) }
+    );
+  }
+
   // Handle history fetch requests - matches /chat?history=true&conversation_id=XYZ
   if (url.searchParams.has("history") && url.searchParams.has("conversation_id")) {
     return handleHistoryRequest(request, url.searchParams.get("conversation_id"));
   }
 
+  // Handle reconnects of an interrupted SSE stream
+  if (request.headers.has("Last-Event-ID")) {
+    return handleResumeRequest(request);
+  }
+
   // Handle SSE requests
   if (!url.searchParams.has("history") && request.headers.get("Accept") === "text/event-stream") {
     return handleChatRequest(request);
@@ -83,22 +130,340 @@ export async function loader({ request }) {
  * Remix action function for handling POST requests
  */
 export async function action({ request }) {
+  const url = new URL(request.url);
+
+  // Handle stop requests - matches /chat?stop=true
+  if (url.searchParams.has("stop")) {
+    return handleStopRequest(request);
+  }
+
+  // Handle direct add-to-cart requests from product cards - matches /chat?add_to_cart=true
+  if (url.searchParams.has("add_to_cart")) {
+    return handleAddToCartRequest(request);
+  }
+
+  // Handle the shopper's decision on a tool call awaiting confirmation - matches /chat?confirm=true
+  if (url.searchParams.has("confirm")) {
+    return handleConfirmRequest(request);
+  }
+
+  if (request.headers.has("Last-Event-ID")) {
+    return handleResumeRequest(request);
+  }
+
   return handleChatRequest(request);
 }
 
+/**
+ * Handle reconnects: replay the events after Last-Event-ID, then continue live
+ */
+function handleResumeRequest(request) {
+  const responseStream = resumeSseStream(request.headers.get("Last-Event-ID"), {
+    signal: request.signal,
+  });
+
+  if (!responseStream) {
+    return json(
+      { error: AppConfig.errorMessages.streamExpired },
+      { status: 404, headers: getCorsHeaders(request) }
+    );
+  }
+
+  return new Response(responseStream, { headers: getSseHeaders(request) });
+}
+
+/**
+ * Handle stop requests for a running turn
+ */
+async function handleStopRequest(request) {
+  let turnId;
+  try {
+    turnId = (await request.json()).turn_id;
+  } catch (e) {
+    turnId = null;
+  }
+
+  const stopped = turnId ? stopSseStream(String(turnId)) : false;
+
+  return json({ stopped }, { headers: getCorsHeaders(request) });
+}
+
+/**
+ * Handle add-to-cart requests: call the storefront cart tool directly, without
+ * a model round trip, and record the change in the conversation
+ */
+async function handleAddToCartRequest(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    body = {};
+  }
+
+  const variantId = typeof body.variant_id === "string" ? body.variant_id.trim() : "";
+  const quantity = body.quantity === undefined ? 1 : Number(body.quantity);
+
+  if (
+    !variantId ||
+    !Number.isInteger(quantity) ||
+    quantity < 1 ||
+    quantity > AppConfig.tools.maxAddToCartQuantity
+  ) {
+    return json(
+      { error: AppConfig.errorMessages.invalidCartRequest },
+      { status: 400, headers: getCorsHeaders(request) }
+    );
+  }
+
+  const conversationId = body.conversation_id || Date.now().toString();
+
+  // The cart message must not land in the middle of a turn's history
+  if (hasActiveTurn(conversationId)) {
+    return json(
+      { error: AppConfig.errorMessages.turnInProgress },
+      { status: 409, headers: getCorsHeaders(request) }
+    );
+  }
+
+  try {
+    const shopDomain = resolveShopDomain(request);
+    const shopId = request.headers.get("X-Shopify-Shop-Id") || "unknown";
+
+    // The merchant's tool policy applies to direct calls as well
+    const toolPolicy = createToolPolicy(await getToolPolicies(shopDomain));
+    const mcpClient = new MCPClient(shopDomain, conversationId, shopId, null);
+    mcpClient.setToolPolicy(toolPolicy);
+    await mcpClient.connectToStorefrontServer();
+
+    const toolName = AppConfig.tools.cartUpdateToolName;
+    const tool = mcpClient.tools.find(({ name }) => name === toolName);
+    if (!tool) {
+      return json(
+        { error: AppConfig.errorMessages.cartUnavailable },
+        { status: 503, headers: getCorsHeaders(request) }
+      );
+    }
+
+    const toolArgs = buildAddToCartArguments(tool.input_schema, {
+      variantId,
+      quantity,
+      cartId: await getConversationCartId(conversationId),
+    });
+
+    // Held like any other call the policy marks as sensitive; the approval
+    // comes back through the confirmation endpoint, which then runs it
+    if (toolPolicy.requiresConfirmation(toolName)) {
+      const { event } = await createConfirmation({
+        conversationId,
+        toolUseId: `cart_${randomUUID()}`,
+        toolName,
+        toolArgs,
+      });
+      return json(
+        { conversation_id: conversationId, confirmation: event },
+        { status: 202, headers: getCorsHeaders(request) }
+      );
+    }
+
+    const toolUseResponse = await mcpClient.callTool(toolName, toolArgs);
+
+    const cart = toolUseResponse.error || toolUseResponse.isError
+      ? null
+      : extractCart(toolUseResponse);
+    if (!cart) {
+      console.error("Direct add to cart failed:", toolUseResponse.error || toolUseResponse.content);
+      return json(
+        { error: AppConfig.errorMessages.cartUpdateFailed },
+        { status: 502, headers: getCorsHeaders(request) }
+      );
+    }
+
+    if (cart.id) {
+      await storeConversationCartId(conversationId, cart.id);
+    }
+
+    // Saved as an event, not a shopper message; the model reads about the
+    // change in the next turn's history
+    const message = describeCartAddition(cart, variantId, quantity);
+    await saveMessage(conversationId, "event", message);
+
+    return json(
+      { conversation_id: conversationId, cart, message },
+      { headers: getCorsHeaders(request) }
+    );
+  } catch (error) {
+    console.error("Error in add to cart handler:", error);
+    return json(
+      { error: AppConfig.errorMessages.cartUpdateFailed },
+      { status: 500, headers: getCorsHeaders(request) }
+    );
+  }
+}
+
+/**
+ * Handle the shopper's approve or decline decision on a pending tool call
+ */
+async function handleConfirmRequest(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    body = {};
+  }
+
+  const actionId = typeof body.action_id === "string" ? body.action_id : "";
+  const decision = body.decision;
+
+  if (!actionId || !body.conversation_id || !["approve", "decline"].includes(decision)) {
+    return json(
+      { error: AppConfig.errorMessages.invalidConfirmation },
+      { status: 400, headers: getCorsHeaders(request) }
+    );
+  }
+
+  try {
+    const conversationId = String(body.conversation_id);
+    const result = await decideConfirmation(actionId, conversationId, decision === "approve");
+
+    if (!result) {
+      return json(
+        { error: AppConfig.errorMessages.confirmationExpired },
+        { status: 409, headers: getCorsHeaders(request) }
+      );
+    }
+
+    // No turn is waiting for the call, so it runs here
+    const { message, cart } = result.action
+      ? await runConfirmedToolCall(request, conversationId, result.action)
+      : {};
+
+    return json(
+      { action_id: actionId, status: result.status, message, cart },
+      { headers: getCorsHeaders(request) }
+    );
+  } catch (error) {
+    console.error("Error in confirmation handler:", error);
+    return json(
+      { error: AppConfig.errorMessages.genericError },
+      { status: 500, headers: getCorsHeaders(request) }
+    );
+  }
+}
+
+/**
+ * Run an approved tool call that no turn is waiting for, such as a held add to
+ * cart or a call whose turn has ended, and record the outcome in the
+ * conversation, so the model reads it in the next turn
+ * @param {Request} request - The confirmation request
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} action - The approved pending action
+ * @returns {Promise<Object>} { message, cart }: the message saved to the
+ *   conversation and the cart, if the call changed it
+ */
+async function runConfirmedToolCall(request, conversationId, action) {
+  const shopDomain = resolveShopDomain(request);
+  const shopId = request.headers.get("X-Shopify-Shop-Id") || "unknown";
+  const toolService = createToolService(conversationId);
+  const { toolName, toolUseId } = action;
+
+  // Nobody is listening for SSE events outside a turn; only the cart is
+  // passed on, so the widget can update its drawer
+  let cart = null;
+  const sendMessage = (event) => {
+    if (event.type === "cart_updated") cart = event.cart;
+  };
+
+  let toolResult;
+  try {
+    const customerMcpEndpoint = await getCustomerMcpEndpoint(shopDomain, conversationId);
+    const mcpClient = new MCPClient(shopDomain, conversationId, shopId, customerMcpEndpoint);
+    mcpClient.setToolPolicy(createToolPolicy(await getToolPolicies(shopDomain)));
+    await connectMcpServers(mcpClient, shopDomain, customerMcpEndpoint);
+
+    const tool = mcpClient.tools.find(({ name }) => name === toolName);
+    const callArgs = await toolService.prepareToolArguments(
+      toolName,
+      action.arguments,
+      tool?.input_schema
+    );
+    const toolUseResponse = await mcpClient.callTool(toolName, callArgs, { confirmed: true });
+
+    toolResult = toolUseResponse.error
+      ? await toolService.handleToolError(toolUseResponse, toolName, toolUseId, sendMessage)
+      : await toolService.handleToolSuccess(toolUseResponse, toolName, toolUseId, [], sendMessage);
+  } catch (error) {
+    console.error(`Error running confirmed tool call ${toolName}:`, error);
+    toolResult = toolService.createToolResult(toolUseId, error.message, true);
+  }
+
+  console.log(`Ran confirmed ${toolName} call ${toolUseId} outside a turn`);
+  const message = describeResumedToolCall(
+    action,
+    toolService.summarizeToolResult(toolResult.content),
+    Boolean(toolResult.is_error)
+  );
+  await saveMessage(conversationId, "event", message);
+
+  return { message, cart };
+}
+
 /**
  * Handle history fetch requests
  */
 async function handleHistoryRequest(request, conversationId) {
   const messages = await getConversationHistory(conversationId);
 
-  return json({ messages }, { headers: getCorsHeaders(request) });
+  // Thinking blocks stay in the database for the model but are not shown to shoppers
+  return json(
+    { messages: messages.map(withoutThinkingBlocks) },
+    { headers: getCorsHeaders(request) }
+  );
+}
+
+/**
+ * Remove extended thinking blocks from a stored message
+ */
+function withoutThinkingBlocks(message) {
+  let content;
+  try {
+    content = JSON.parse(message.content);
+  } catch (e) {
+    return message;
+  }
+
+  if (!Array.isArray(content) || !content.some((block) => isThinkingBlock(block))) {
+    return message;
+  }
+
+  return {
+    ...message,
+    content: JSON.stringify(content.filter((block) => !isThinkingBlock(block))),
+  };
+}
+
+/**
+ * Whether a content block holds extended thinking
+ */
+function isThinkingBlock(block) {
+  return block?.type === "thinking" || block?.type === "redacted_thinking";
 }
 
 /**
  * Handle chat requests (both GET and POST)
  */
 async function handleChatRequest(request) {
+  // Version handshake: refuse clients built for another major protocol version
+  const clientVersion = request.headers.get(PROTOCOL_VERSION_HEADER);
+  if (!isSupportedProtocolVersion(clientVersion)) {
+    return json(
+      {
+        error: `Unsupported chat protocol version ${clientVersion}`,
+        supported_version: SSE_PROTOCOL_VERSION,
+      },
+      { status: 400, headers: getCorsHeaders(request) }
+    );
+  }
+
   try {
     // Get message data from request body
     const body = await request.json();
@@ -125,7 +490,7 @@ async function handleChatRequest(request) {
         promptType,
         stream,
       });
-    });
+    }, { signal: request.signal, conversationId });
 
     return new Response(responseStream, { headers: getSseHeaders(request) });
   } catch (error) {
@@ -140,6 +505,59 @@ async function handleChatRequest(request) {
   }
 }
 
+/**
+ * Connect an MCP client to the storefront server, the customer server if
+ * enabled, and any additional servers the merchant configured for the shop.
+ * Servers that fail to connect are skipped.
+ * @param {MCPClient} mcpClient - The MCP client
+ * @param {string} shopDomain - The shop's myshopify.com domain
+ * @param {string|null} customerMcpEndpoint - The customer MCP endpoint, if known
+ */
+async function connectMcpServers(mcpClient, shopDomain, customerMcpEndpoint) {
+  // Register any additional MCP servers the merchant configured for this shop
+  const configuredServers = await getMcpServers(shopDomain, { enabledOnly: true });
+  for (const server of configuredServers) {
+    mcpClient.registerServer({
+      name: server.name,
+      endpoint: server.endpoint,
+      headers: server.headers,
+      toolPrefix: server.toolPrefix,
+      enabled: server.enabled,
+    });
+  }
+
+  let storefrontMcpTools = [],
+    customerMcpTools = [];
+
+  try {
+    storefrontMcpTools = await mcpClient.connectToStorefrontServer();
+
+    // Optional: gate customer MCP until OAuth is wired
+    if (process.env.ENABLE_CUSTOMER_MCP === "true" && customerMcpEndpoint) {
+      customerMcpTools = await mcpClient.connectToCustomerServer();
+    }
+
+    // Tools are only offered when the server negotiated the tools capability;
+    // connectTo*Server returns an empty list otherwise.
+    console.log(`Connected to MCP with ${storefrontMcpTools.length} tools`);
+    if (customerMcpTools.length) {
+      console.log(`Connected to customer MCP with ${customerMcpTools.length} tools`);
+    }
+  } catch (error) {
+    console.warn("Failed to connect to MCP servers, continuing without tools:", error.message);
+  }
+
+  // A failing merchant-configured server should not take the built-in tools down with it
+  for (const server of configuredServers) {
+    try {
+      const serverTools = await mcpClient.connectToServer(server.name);
+      console.log(`Connected to ${server.name} MCP with ${serverTools.length} tools`);
+    } catch (error) {
+      console.warn(`Failed to connect to ${server.name} MCP server, skipping:`, error.message);
+    }
+  }
+}
+
 /**
  * Handle a complete chat session
  */
@@ -150,43 +568,50 @@ async function handleChatSession({
   promptType,
   stream,
 }) {
-  // Initialize services
-  const claudeService = createClaudeService();
-  const toolService = createToolService();
-
   // CHANGED: Use a valid myshopify.com domain, not request Origin.
   const shopDomain = resolveShopDomain(request);
+
+  // Initialize services with the shop's model settings
+  const llmService = createLlmService((await getModelConfig(shopDomain)) || {});
+  const toolService = createToolService(conversationId);
+  const contextService = createContextService(llmService);
   const shopId = request.headers.get("X-Shopify-Shop-Id") || "unknown";
 
+  // The MCP prompt and context resources are merchant settings, never taken from the request
+  const contextConfig = await getChatContextConfig(shopDomain);
+  const mcpPrompt = contextConfig?.mcpPrompt || null;
+  const contextResources = parseResourceList(contextConfig?.contextResources);
+
   // CHANGED: Discover Customer Accounts MCP endpoint using the myshopify domain.
   const customerMcpEndpoint = await getCustomerMcpEndpoint(shopDomain, conversationId);
 
   // CHANGED: Initialize MCP client with myshopify.com shopDomain so /api/mcp hits a JSON endpoint.
   const mcpClient = new MCPClient(shopDomain, conversationId, shopId, customerMcpEndpoint);
 
+  // Stop MCP requests as soon as the shopper disconnects or presses stop
+  mcpClient.setAbortSignal(stream.signal);
+
+  // Apply the merchant's tool allow/deny lists and overrides
+  const toolPolicy = createToolPolicy(await getToolPolicies(shopDomain));
+  mcpClient.setToolPolicy(toolPolicy);
+
   try {
     // Send conversation ID to client
-    stream.sendMessage({ type: "id", conversation_id: conversationId });
+    stream.sendMessage({
+      type: "id",
+      conversation_id: conversationId,
+      protocol_version: SSE_PROTOCOL_VERSION,
+    });
 
     // Connect to MCP servers and get available tools
-    let storefrontMcpTools = [],
-      customerMcpTools = [];
+    await connectMcpServers(mcpClient, shopDomain, customerMcpEndpoint);
 
-    try {
-      storefrontMcpTools = await mcpClient.connectToStorefrontServer();
-
-      // Optional: gate customer MCP until OAuth is wired
-      if (process.env.ENABLE_CUSTOMER_MCP === "true" && customerMcpEndpoint) {
-        customerMcpTools = await mcpClient.connectToCustomerServer();
-      }
-
-      console.log(`Connected to MCP with ${storefrontMcpTools.length} tools`);
-      if (customerMcpTools.length) {
-        console.log(`Connected to customer MCP with ${customerMcpTools.length} tools`);
-      }
-    } catch (error) {
-      console.warn("Failed to connect to MCP servers, continuing without tools:", error.message);
-    }
+    // Build the system prompt from an MCP prompt template and resources, if configured
+    const systemPrompt = await buildSystemPrompt(mcpClient, llmService, {
+      promptType,
+      mcpPrompt,
+      contextResources,
+    });
 
     // Prepare conversation state
     let conversationHistory = [];
@@ -198,29 +623,38 @@ async function handleChatSession({
     // Fetch all messages from the database for this conversation
     const dbMessages = await getConversationHistory(conversationId);
 
-    // Format messages for Claude API
-    conversationHistory = dbMessages.map((dbMessage) => {
-      let content;
-      try {
-        content = JSON.parse(dbMessage.content);
-      } catch (e) {
-        content = dbMessage.content;
-      }
-      return {
-        role: dbMessage.role,
-        content,
-      };
-    });
+    // Format messages for Claude API, compacting older turns to fit the context window
+    conversationHistory = await contextService.buildHistory(conversationId, dbMessages);
 
-    // Execute the conversation stream
-    let finalMessage = { role: "user", content: userMessage };
+    // Execute the conversation stream, bounded by tool rounds and tokens; the
+    // stream stops turns that run too long
+    const turnBudget = {
+      toolRounds: 0,
+      tokensUsed: 0,
+      maxTokensContinuations: 0,
+    };
+    // Token usage summed over the turn's model calls, including prompt cache hits and misses
+    const turnUsage = {
+      model: llmService.model,
+      modelCalls: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheCreationInputTokens: 0,
+      cacheReadInputTokens: 0,
+    };
+    let continueTurn = true;
 
-    while (finalMessage.stop_reason !== "end_turn") {
-      finalMessage = await claudeService.streamConversation(
+    while (continueTurn) {
+      // Don't start another model call for a shopper who has left
+      stream.signal?.throwIfAborted();
+
+      const finalMessage = await llmService.streamConversation(
         {
           messages: conversationHistory,
           promptType,
+          systemPrompt,
           tools: mcpClient.tools,
+          signal: stream.signal,
         },
         {
           // Handle text chunks
@@ -248,49 +682,131 @@ async function handleChatSession({
             stream.sendMessage({ type: "message_complete" });
           },
 
-          // Handle tool use requests
+          // Handle tool use requests (may run concurrently)
           onToolUse: async (content) => {
             const toolName = content.name;
-            const toolArgs = content.input;
+            const toolArgs = content.input || {};
             const toolUseId = content.id;
+            const toolEvent = {
+              type: "tool_use",
+              call_id: toolUseId,
+              tool_name: toolName,
+              arguments: toolArgs,
+            };
 
-            const toolUseMessage = `Calling tool: ${toolName} with arguments: ${JSON.stringify(
-              toolArgs
-            )}`;
+            // Hold calls the merchant marked as sensitive until the shopper decides
+            const needsConfirmation = toolPolicy.requiresConfirmation(toolName);
+            if (needsConfirmation) {
+              // The shopper's time to decide does not count toward the turn's time limit
+              stream.pauseDeadline();
+              let decision;
+              try {
+                decision = await requestConfirmation({
+                  conversationId,
+                  toolUseId,
+                  toolName,
+                  toolArgs,
+                  sendMessage: stream.sendMessage,
+                  signal: stream.signal,
+                });
+              } finally {
+                stream.resumeDeadline();
+              }
 
-            stream.sendMessage({
-              type: "tool_use",
-              tool_use_message: toolUseMessage,
-            });
+              if (decision !== CONFIRMATION_STATUS.APPROVED) {
+                return createUnconfirmedToolResult(toolUseId, decision);
+              }
+            }
 
-            // Call the tool
-            const toolUseResponse = await mcpClient.callTool(toolName, toolArgs);
+            const startedAt = Date.now();
+            let status = "failed";
+            let result = { status: "error", summary: "" };
 
-            // Handle tool response based on success/error
-            if (toolUseResponse.error) {
-              await toolService.handleToolError(
-                toolUseResponse,
+            stream.sendMessage({ ...toolEvent, status: "started" });
+
+            try {
+              const tool = mcpClient.tools.find(({ name }) => name === toolName);
+              const callArgs = await toolService.prepareToolArguments(
                 toolName,
-                toolUseId,
-                conversationHistory,
-                stream.sendMessage,
-                conversationId
+                toolArgs,
+                tool?.input_schema
               );
-            } else {
-              await toolService.handleToolSuccess(
+
+              // Call the tool, relaying any progress the MCP server streams back
+              const toolUseResponse = await mcpClient.callTool(toolName, callArgs, {
+                // Calls that needed confirmation only get here once approved
+                confirmed: needsConfirmation,
+                onProgress: ({ progress, total, message }) => {
+                  stream.sendMessage({
+                    type: "tool_progress",
+                    call_id: toolUseId,
+                    tool_name: toolName,
+                    progress,
+                    total,
+                    message,
+                  });
+                },
+              });
+
+              // Handle tool response based on success/error
+              if (toolUseResponse.error) {
+                result = {
+                  status: toolUseResponse.error.type === "auth_required" ? "auth_required" : "error",
+                  summary: toolService.summarizeToolResult(toolUseResponse.error.data),
+                };
+                return toolService.handleToolError(
+                  toolUseResponse,
+                  toolName,
+                  toolUseId,
+                  stream.sendMessage
+                );
+              }
+
+              status = "completed";
+              result = {
+                status: toolUseResponse.isError ? "error" : "ok",
+                summary: toolService.summarizeToolResult(toolUseResponse.content),
+              };
+              return toolService.handleToolSuccess(
                 toolUseResponse,
                 toolName,
                 toolUseId,
-                conversationHistory,
                 productsToDisplay,
-                conversationId
+                stream.sendMessage
               );
+            } catch (error) {
+              result.summary = toolService.summarizeToolResult(error.message);
+              throw error;
+            } finally {
+              const durationMs = Date.now() - startedAt;
+              stream.sendMessage({ ...toolEvent, status, duration_ms: durationMs });
+              stream.sendMessage({
+                type: "tool_result",
+                call_id: toolUseId,
+                tool_name: toolName,
+                duration_ms: durationMs,
+                ...result,
+              });
             }
+          },
+
+          // Record all tool results of the assistant message as one user message
+          onToolResults: async (toolResults) => {
+            await toolService.addToolResultsToHistory(
+              conversationHistory,
+              toolResults,
+              conversationId
+            );
 
             // Signal new message to client
             stream.sendMessage({ type: "new_message" });
           },
 
+          // Let the widget show a reasoning indicator while the model thinks
+          onThinking: ({ status }) => {
+            stream.sendMessage({ type: "thinking", status });
+          },
+
           // Handle content block completion
           onContentBlock: (contentBlock) => {
             if (contentBlock.type === "text") {
@@ -302,8 +818,56 @@ async function handleChatSession({
           },
         }
       );
+
+      const usage = finalMessage.usage || {};
+      turnUsage.modelCalls++;
+      turnUsage.inputTokens += usage.input_tokens || 0;
+      turnUsage.outputTokens += usage.output_tokens || 0;
+      turnUsage.cacheCreationInputTokens += usage.cache_creation_input_tokens || 0;
+      turnUsage.cacheReadInputTokens += usage.cache_read_input_tokens || 0;
+
+      // Cached input still counts toward the turn budget
+      turnBudget.tokensUsed +=
+        (usage.input_tokens || 0) +
+        (usage.output_tokens || 0) +
+        (usage.cache_creation_input_tokens || 0) +
+        (usage.cache_read_input_tokens || 0);
+
+      const step = resolveStopReason(finalMessage, turnBudget);
+      continueTurn = step.continueTurn;
+
+      // The cut-off text is sent back as a prefill, which may not end in whitespace
+      if (continueTurn && finalMessage.stop_reason === "max_tokens") {
+        trimPrefill(conversationHistory[conversationHistory.length - 1]);
+      }
+
+      if (step.refused) {
+        stream.sendMessage({ type: "chunk", chunk: AppConfig.errorMessages.refusal });
+        stream.sendMessage({ type: "message_complete" });
+      }
+
+      if (step.limitReason) {
+        console.warn(`Turn limit reached for conversation ${conversationId}: ${step.limitReason}`);
+        stream.sendMessage({
+          type: "turn_limit_reached",
+          reason: step.limitReason,
+          message:
+            step.limitReason === "max_tokens"
+              ? AppConfig.errorMessages.responseTruncated
+              : AppConfig.errorMessages.turnLimitReached,
+        });
+      }
     }
 
+    console.log(
+      `Turn usage for conversation ${conversationId}: ${turnUsage.inputTokens} input, ` +
+        `${turnUsage.cacheReadInputTokens} cache read, ${turnUsage.cacheCreationInputTokens} cache write, ` +
+        `${turnUsage.outputTokens} output tokens over ${turnUsage.modelCalls} calls`
+    );
+    recordTurnUsage(conversationId, turnUsage).catch((error) => {
+      console.error("Error recording turn usage:", error);
+    });
+
     // Signal end of turn
     stream.sendMessage({ type: "end_turn" });
 
@@ -320,6 +884,145 @@ async function handleChatSession({
   }
 }
 
+/**
+ * Decide whether the agent loop continues after a model response.
+ * Tool use and paused turns continue until a limit is hit; a max_tokens stop
+ * in the middle of text is continued a limited number of times; everything
+ * else ends the turn.
+ * @returns {{ continueTurn: boolean, limitReason?: string, refused?: boolean }}
+ */
+function resolveStopReason(finalMessage, turnBudget) {
+  const limits = AppConfig.api.turnLimits;
+
+  switch (finalMessage.stop_reason) {
+    case "tool_use":
+      turnBudget.toolRounds++;
+      break;
+
+    case "pause_turn":
+      break;
+
+    case "max_tokens": {
+      // The assistant message is already in the history, so the next call
+      // continues it (a prefill for Anthropic; OpenAI-compatible providers are
+      // asked to continue). A truncated tool_use block cannot be continued, and
+      // responses with extended thinking cannot be prefilled. Nothing is left
+      // to continue from when the text is only whitespace.
+      const content = finalMessage.content || [];
+      const lastBlock = content[content.length - 1];
+      if (
+        lastBlock?.type !== "text" ||
+        !lastBlock.text.trim() ||
+        content.some((block) => isThinkingBlock(block)) ||
+        turnBudget.maxTokensContinuations >= limits.maxTokensContinuations
+      ) {
+        return { continueTurn: false, limitReason: "max_tokens" };
+      }
+      turnBudget.maxTokensContinuations++;
+      break;
+    }
+
+    case "refusal":
+      return { continueTurn: false, refused: true };
+
+    default:
+      // end_turn and stop_sequence
+      return { continueTurn: false };
+  }
+
+  if (turnBudget.toolRounds >= limits.maxToolRounds) {
+    return { continueTurn: false, limitReason: "max_tool_rounds" };
+  }
+  if (turnBudget.tokensUsed >= limits.maxTokensPerTurn) {
+    return { continueTurn: false, limitReason: "token_budget" };
+  }
+
+  return { continueTurn: true };
+}
+
+/**
+ * Remove trailing whitespace from the text an assistant message ends with, so
+ * it can be continued as a prefill
+ * @param {Object} message - The assistant message at the end of the history
+ */
+function trimPrefill(message) {
+  const content = Array.isArray(message?.content) ? message.content : [];
+  const lastBlock = content[content.length - 1];
+  if (lastBlock?.type !== "text") return;
+
+  message.content = [...content.slice(0, -1), { ...lastBlock, text: lastBlock.text.trimEnd() }];
+}
+
+/**
+ * Normalize the shop's configured context resources into a list of resource URIs.
+ * Accepts an array or a newline/comma separated string.
+ */
+function parseResourceList(value) {
+  const items = Array.isArray(value) ? value : String(value || "").split(/[\n,]/);
+
+  return items
+    .map((item) => String(item).trim())
+    .filter(Boolean)
+    .slice(0, AppConfig.mcp.maxContextResources);
+}
+
+/**
+ * Build the system prompt for a turn.
+ * An MCP prompt template replaces the configured prompt type, and selected MCP
+ * resources (e.g. store policies, shipping FAQs) are appended as reference context.
+ * Returns undefined when neither is configured so the prompt type is used as-is.
+ */
+async function buildSystemPrompt(mcpClient, llmService, { promptType, mcpPrompt, contextResources }) {
+  if (!mcpPrompt && contextResources.length === 0) {
+    return undefined;
+  }
+
+  let systemPrompt = llmService.getSystemPrompt(promptType);
+
+  // Only ask for prompts and resources when a connected server negotiated them
+  if (mcpPrompt && !mcpClient.hasCapability("prompts")) {
+    console.warn(`No MCP server offers prompts, ignoring prompt ${mcpPrompt}`);
+  } else if (mcpPrompt) {
+    const prompt = await mcpClient.getPrompt(mcpPrompt);
+    const promptText = prompt?.messages
+      ?.map((message) => message.content?.text)
+      .filter(Boolean)
+      .join("\n\n");
+
+    if (promptText) {
+      systemPrompt = promptText;
+    } else {
+      console.warn(`MCP prompt ${mcpPrompt} not found, using ${promptType}`);
+    }
+  }
+
+  const resourceSections = [];
+  if (contextResources.length > 0 && !mcpClient.hasCapability("resources")) {
+    console.warn("No MCP server offers resources, ignoring context resources");
+    contextResources = [];
+  }
+  for (const uri of contextResources) {
+    const contents = await mcpClient.readResource(uri);
+    const text = contents
+      ?.map((content) => content.text)
+      .filter(Boolean)
+      .join("\n")
+      .slice(0, AppConfig.mcp.maxResourceContextChars);
+
+    if (text) {
+      resourceSections.push(`<resource uri="${uri}">\n${text}\n</resource>`);
+    } else {
+      console.warn(`MCP resource ${uri} not available`);
+    }
+  }
+
+  if (resourceSections.length > 0) {
+    systemPrompt += `\n\nUse the following store information when it is relevant to the customer's question:\n\n${resourceSections.join("\n\n")}`;
+  }
+
+  return systemPrompt;
+}
+
 /**
  * Get the customer MCP endpoint for a shop
  */
@@ -384,12 +1087,16 @@ function getSseHeaders(request) {
 
   return {
     "Content-Type": "text/event-stream",
-    "Cache-Control": "no-cache",
+    // no-transform and X-Accel-Buffering keep proxies from compressing or buffering the stream
+    "Cache-Control": "no-cache, no-transform",
     "Connection": "keep-alive",
+    "X-Accel-Buffering": "no",
+    [PROTOCOL_VERSION_HEADER]: SSE_PROTOCOL_VERSION,
     "Access-Control-Allow-Credentials": "true",
     "Access-Control-Allow-Origin": origin,
     "Access-Control-Allow-Methods": "GET,OPTIONS,POST",
     "Access-Control-Allow-Headers":
-      "X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version",
+      "X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Last-Event-ID, X-Chat-Protocol-Version",
+    "Access-Control-Expose-Headers": PROTOCOL_VERSION_HEADER,
   };
 }
\ No newline at end of file
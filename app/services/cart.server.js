@@ -0,0 +1,171 @@
+/**
+ * Cart Service
+ * Normalizes the carts returned by the storefront cart tools into the summary
+ * the widget renders, and keeps later cart tool calls on the conversation's cart.
+ */
+
+// Storefront cart tools (get_cart, update_cart), with or without a server prefix
+const CART_TOOL_PATTERN = /(^|_)(get|update)_cart$/;
+
+/**
+ * Whether a tool reads or changes the storefront cart
+ * @param {string} toolName - The tool name as exposed to the model
+ * @returns {boolean} True for cart tools
+ */
+export function isCartTool(toolName) {
+  return CART_TOOL_PATTERN.test(toolName);
+}
+
+/**
+ * Adds the conversation's cart ID to a cart tool call that did not name a cart,
+ * so the model keeps working on the same cart instead of creating a new one
+ * @param {Object} toolArgs - Arguments produced by the model
+ * @param {string|null} cartId - The conversation's cart ID, if it has one
+ * @param {Object} [inputSchema] - The tool's input schema
+ * @returns {Object} Arguments to call the tool with
+ */
+export function withCartId(toolArgs, cartId, inputSchema) {
+  if (!cartId || toolArgs.cart_id || !inputSchema?.properties?.cart_id) {
+    return toolArgs;
+  }
+
+  return { ...toolArgs, cart_id: cartId };
+}
+
+/**
+ * Builds the arguments of a cart update call that adds one variant. The
+ * storefront cart tool has taken new items both as `add_items` and as `lines`,
+ * so the tool's input schema decides which shape is used.
+ * @param {Object} [inputSchema] - The cart update tool's input schema
+ * @param {Object} item - The item to add
+ * @param {string} item.variantId - Product variant ID
+ * @param {number} item.quantity - Quantity to add
+ * @param {string|null} item.cartId - The conversation's cart ID, if it has one
+ * @returns {Object} Tool arguments
+ */
+export function buildAddToCartArguments(inputSchema, { variantId, quantity, cartId }) {
+  const args = inputSchema?.properties?.add_items
+    ? { add_items: [{ product_variant_id: variantId, quantity }] }
+    : { lines: [{ merchandise_id: variantId, quantity }] };
+
+  return cartId ? { cart_id: cartId, ...args } : args;
+}
+
+/**
+ * Describes an item the shopper added from a product card. It is saved as a
+ * conversation event, so the model learns about it from the history and the
+ * widget shows it as a notice rather than something the shopper wrote.
+ * @param {Object|null} cart - Normalized cart after the change
+ * @param {string} variantId - The variant that was added
+ * @param {number} quantity - Quantity added
+ * @returns {string} Message text
+ */
+export function describeCartAddition(cart, variantId, quantity) {
+  const line = cart?.lines.find((cartLine) => cartLine.variant_id === variantId);
+  const title = line
+    ? (line.variant_title ? `${line.product_title} (${line.variant_title})` : line.product_title)
+    : `variant ${variantId}`;
+
+  let text = `Added ${quantity} × ${title} to the cart from a product card.`;
+  if (cart) {
+    text += ` The cart now has ${cart.total_quantity} ${cart.total_quantity === 1 ? 'item' : 'items'}`;
+    text += cart.subtotal?.amount ? ` (subtotal ${cart.subtotal.currency} ${cart.subtotal.amount}).` : '.';
+  }
+
+  return text;
+}
+
+/**
+ * Extracts the cart from a cart tool response
+ * @param {Object} toolUseResponse - The response from get_cart or update_cart
+ * @returns {Object|null} Normalized cart, or null if the response holds none
+ */
+export function extractCart(toolUseResponse) {
+  let payload = toolUseResponse?.structuredContent;
+
+  if (!payload) {
+    const text = toolUseResponse?.content?.find((block) => block?.type === 'text')?.text;
+    try {
+      payload = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const cart = payload?.cart || payload;
+  if (!cart || typeof cart !== 'object' || !(cart.id || cart.lines)) {
+    return null;
+  }
+
+  return normalizeCart(cart);
+}
+
+/**
+ * Converts a storefront cart into the normalized cart summary
+ * @param {Object} cart - Cart as returned by the tool
+ * @returns {Object} Normalized cart
+ */
+export function normalizeCart(cart) {
+  const lines = (cart.lines?.nodes || cart.lines || []).map(normalizeLine);
+  const subtotal = readMoney(cart.cost?.subtotal_amount ?? cart.cost?.subtotalAmount);
+  const total = readMoney(cart.cost?.total_amount ?? cart.cost?.totalAmount);
+
+  return {
+    id: String(cart.id || ''),
+    total_quantity: cart.total_quantity ?? cart.totalQuantity ??
+      lines.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal,
+    total,
+    checkout_url: cart.checkout_url || cart.checkoutUrl || '',
+    lines
+  };
+}
+
+/**
+ * Converts a cart line into the normalized line model
+ * @param {Object} line - Cart line as returned by the tool
+ * @returns {Object} Normalized line
+ */
+function normalizeLine(line) {
+  const merchandise = line.merchandise || {};
+  const cost = readMoney(line.cost?.total_amount ?? line.cost?.totalAmount);
+
+  return {
+    id: String(line.id || ''),
+    variant_id: String(merchandise.id || ''),
+    product_title: merchandise.product?.title || merchandise.title || 'Item',
+    variant_title: merchandise.product?.title ? (merchandise.title || '') : '',
+    quantity: Number(line.quantity) || 0,
+    amount: cost?.amount || '',
+    currency: cost?.currency || '',
+    image_url: merchandise.image?.url || merchandise.image_url || ''
+  };
+}
+
+/**
+ * Reads a money value
+ * @param {Object|string|null} money - Money object or plain amount
+ * @returns {Object|null} { amount, currency } or null if missing
+ */
+function readMoney(money) {
+  if (money === null || money === undefined) {
+    return null;
+  }
+  if (typeof money !== 'object') {
+    return { amount: String(money), currency: '' };
+  }
+
+  return {
+    amount: String(money.amount ?? ''),
+    currency: money.currency || money.currency_code || money.currencyCode || ''
+  };
+}
+
+export default {
+  isCartTool,
+  withCartId,
+  buildAddToCartArguments,
+  describeCartAddition,
+  extractCart,
+  normalizeCart
+};
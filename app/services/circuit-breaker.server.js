@@ -0,0 +1,106 @@
+/**
+ * Circuit Breaker Service
+ * Tracks the health of each MCP endpoint so calls to a server that keeps
+ * failing are rejected immediately instead of waiting for another timeout.
+ */
+import AppConfig from "./config.server";
+
+const breakers = new Map();
+
+/**
+ * Creates a circuit breaker
+ * @param {Object} options - Breaker options
+ * @param {number} options.failureThreshold - Consecutive failures before the circuit opens
+ * @param {number} options.resetTimeoutMs - How long the circuit stays open before a trial request
+ * @returns {Object} Circuit breaker with methods for recording outcomes
+ */
+export function createCircuitBreaker({
+  failureThreshold = AppConfig.mcp.circuitBreaker.failureThreshold,
+  resetTimeoutMs = AppConfig.mcp.circuitBreaker.resetTimeoutMs
+} = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialStartedAt = 0;
+
+  /**
+   * Checks whether a request may be sent. Once the reset timeout has passed
+   * an open circuit goes half-open and lets a single trial request through.
+   * A trial that has not reported back within the reset timeout is given up,
+   * so the circuit cannot stay half-open forever.
+   * @returns {boolean} Whether the request is allowed
+   */
+  const canRequest = () => {
+    if (state === 'closed') return true;
+
+    const now = Date.now();
+    const trialDue = state === 'open'
+      ? now - openedAt >= resetTimeoutMs
+      : now - trialStartedAt >= resetTimeoutMs;
+
+    if (trialDue) {
+      state = 'half_open';
+      trialStartedAt = now;
+      return true;
+    }
+
+    return false;
+  };
+
+  /**
+   * Records a successful request and closes the circuit
+   */
+  const recordSuccess = () => {
+    state = 'closed';
+    failures = 0;
+  };
+
+  /**
+   * Records a failed request, opening the circuit when the threshold is reached
+   * or when the half-open trial request fails
+   */
+  const recordFailure = () => {
+    failures++;
+
+    if (state === 'half_open' || failures >= failureThreshold) {
+      state = 'open';
+      openedAt = Date.now();
+    }
+  };
+
+  /**
+   * Records a request that was cancelled before the server answered. It says
+   * nothing about the server, so a half-open circuit lets the next request be
+   * the trial instead.
+   */
+  const recordAbort = () => {
+    if (state === 'half_open') {
+      trialStartedAt = 0;
+    }
+  };
+
+  return {
+    canRequest,
+    recordSuccess,
+    recordFailure,
+    recordAbort,
+    getState: () => state
+  };
+}
+
+/**
+ * Gets the shared circuit breaker for an endpoint
+ * @param {string} endpoint - The MCP endpoint URL
+ * @returns {Object} The endpoint's circuit breaker
+ */
+export function getCircuitBreaker(endpoint) {
+  if (!breakers.has(endpoint)) {
+    breakers.set(endpoint, createCircuitBreaker());
+  }
+  return breakers.get(endpoint);
+}
+
+export default {
+  createCircuitBreaker,
+  getCircuitBreaker
+};
@@ -4,45 +4,81 @@
  */
 import { Anthropic } from "@anthropic-ai/sdk";
 import AppConfig from "./config.server";
+import { dispatchToolUses } from "./tool-dispatch.server";
 import systemPrompts from "../prompts/prompts.json";
 
 /**
  * Creates a Claude service instance
  * @param {string} apiKey - Claude API key
+ * @param {Object} settings - Per-shop model settings; missing values use AppConfig.api
+ * @param {string} [settings.model] - Model name
+ * @param {number} [settings.maxTokens] - Maximum output tokens per response
+ * @param {number} [settings.temperature] - Sampling temperature
+ * @param {number} [settings.thinkingBudget] - Extended thinking budget in tokens
  * @returns {Object} Claude service with methods for interacting with Claude API
  */
-export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
+export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY, settings = {}) {
   // Initialize Claude client
   const anthropic = new Anthropic({ apiKey });
 
+  const model = settings.model || AppConfig.api.defaultModel;
+  const maxTokens = settings.maxTokens || AppConfig.api.maxTokens;
+  let thinkingBudget = settings.thinkingBudget || 0;
+
+  // The thinking budget is part of max_tokens and must leave room for the answer
+  if (thinkingBudget >= maxTokens) {
+    console.warn(`Thinking budget ${thinkingBudget} does not fit in max tokens ${maxTokens}, turning thinking off`);
+    thinkingBudget = 0;
+  }
+
+  // Extended thinking requires the default temperature
+  const generationParams = thinkingBudget > 0
+    ? {
+      max_tokens: maxTokens,
+      thinking: { type: 'enabled', budget_tokens: thinkingBudget }
+    }
+    : {
+      max_tokens: maxTokens,
+      ...(settings.temperature != null && { temperature: settings.temperature })
+    };
+
   /**
    * Streams a conversation with Claude
    * @param {Object} params - Stream parameters
    * @param {Array} params.messages - Conversation history
    * @param {string} params.promptType - The type of system prompt to use
    * @param {Array} params.tools - Available tools for Claude
+   * @param {string} params.systemPrompt - Optional system prompt that replaces the promptType lookup
+   * @param {AbortSignal} params.signal - Cancels the request; text streamed so far is still passed to onMessage
    * @param {Object} streamHandlers - Stream event handlers
    * @param {Function} streamHandlers.onText - Handles text chunks
    * @param {Function} streamHandlers.onMessage - Handles complete messages
-   * @param {Function} streamHandlers.onToolUse - Handles tool use requests
+   * @param {Function} streamHandlers.onThinking - Called with { status: 'started' | 'completed' } around extended thinking blocks
+   * @param {Function} streamHandlers.onToolUse - Handles a tool use request and resolves to its tool_result block
+   * @param {Function} streamHandlers.onToolResults - Receives all tool_result blocks of the turn at once
    * @returns {Promise<Object>} The final message
    */
   const streamConversation = async ({
     messages,
     promptType = AppConfig.api.defaultPromptType,
-    tools
+    tools,
+    systemPrompt,
+    signal
   }, streamHandlers) => {
-    // Get system prompt from configuration or use default
-    const systemInstruction = getSystemPrompt(promptType);
+    // Use the provided system prompt, or get it from configuration
+    const systemInstruction = systemPrompt || getSystemPrompt(promptType);
+
+    const availableTools = tools && tools.length > 0 ? tools : undefined;
+    const caching = AppConfig.api.promptCaching;
 
     // Create stream
     const stream = await anthropic.messages.stream({
-      model: AppConfig.api.defaultModel,
-      max_tokens: AppConfig.api.maxTokens,
-      system: systemInstruction,
-      messages,
-      tools: tools && tools.length > 0 ? tools : undefined
-    });
+      model,
+      ...generationParams,
+      system: caching ? cacheSystemPrompt(systemInstruction) : systemInstruction,
+      messages: caching ? cacheMessages(messages) : messages,
+      tools: caching && availableTools ? cacheTools(availableTools) : availableTools
+    }, { signal });
 
     // Set up event handlers
     if (streamHandlers.onText) {
@@ -57,21 +93,63 @@ export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
       stream.on('contentBlock', streamHandlers.onContentBlock);
     }
 
-    // Wait for final message
-    const finalMessage = await stream.finalMessage();
-
-    // Process tool use requests
-    if (streamHandlers.onToolUse && finalMessage.content) {
-      for (const content of finalMessage.content) {
-        if (content.type === "tool_use") {
-          await streamHandlers.onToolUse(content);
+    if (streamHandlers.onThinking) {
+      stream.on('streamEvent', (event) => {
+        if (event.type === 'content_block_start' && THINKING_BLOCK_TYPES.includes(event.content_block.type)) {
+          streamHandlers.onThinking({ status: 'started' });
         }
+      });
+      stream.on('contentBlock', (content) => {
+        if (THINKING_BLOCK_TYPES.includes(content.type)) {
+          streamHandlers.onThinking({ status: 'completed' });
+        }
+      });
+    }
+
+    // Wait for final message
+    let finalMessage;
+    try {
+      finalMessage = await stream.finalMessage();
+    } catch (error) {
+      if (signal?.aborted) {
+        completePartialMessage(stream.currentMessage, streamHandlers);
       }
+      throw error;
     }
 
+    // Process tool use requests
+    await dispatchToolUses(finalMessage, streamHandlers);
+
     return finalMessage;
   };
 
+  /**
+   * Summarizes part of a conversation so it can replace the original messages
+   * in the context sent to Claude
+   * @param {Object} params - Summary parameters
+   * @param {string} params.transcript - Plain-text transcript of the messages to summarize
+   * @param {string} params.previousSummary - Summary of the messages before the transcript, if any
+   * @returns {Promise<string>} The summary text
+   */
+  const summarizeConversation = async ({ transcript, previousSummary }) => {
+    const response = await anthropic.messages.create({
+      model,
+      max_tokens: AppConfig.context.summaryMaxTokens,
+      system: AppConfig.context.summaryPrompt,
+      messages: [{
+        role: 'user',
+        content: previousSummary
+          ? `Summary so far:\n${previousSummary}\n\nLater conversation:\n${transcript}`
+          : transcript
+      }]
+    });
+
+    return response.content
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('\n');
+  };
+
   /**
    * Gets the system prompt content for a given prompt type
    * @param {string} promptType - The prompt type to retrieve
@@ -83,11 +161,91 @@ export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
   };
 
   return {
+    provider: 'anthropic',
+    model,
     streamConversation,
+    summarizeConversation,
     getSystemPrompt
   };
 }
 
+/**
+ * Hands the text streamed before a cancellation to onMessage so the history
+ * keeps what the shopper already saw. Unfinished tool_use and thinking blocks
+ * are dropped, since they cannot be sent back to the model.
+ * @param {Object} message - The partial message snapshot, if any
+ * @param {Object} streamHandlers - Stream event handlers
+ */
+function completePartialMessage(message, streamHandlers) {
+  const content = (message?.content || []).filter((block) => block.type === 'text' && block.text);
+
+  if (content.length > 0 && streamHandlers.onMessage) {
+    streamHandlers.onMessage({ ...message, content, stop_reason: 'cancelled' });
+  }
+}
+
+const CACHE_BREAKPOINT = { type: 'ephemeral' };
+
+// Extended thinking blocks; they must be sent back unmodified and cannot carry cache_control
+const THINKING_BLOCK_TYPES = ['thinking', 'redacted_thinking'];
+
+/**
+ * Wraps the system prompt in a text block marked as a cache breakpoint
+ * @param {string} systemInstruction - The system prompt
+ * @returns {Array} System content blocks
+ */
+function cacheSystemPrompt(systemInstruction) {
+  return [{ type: 'text', text: systemInstruction, cache_control: CACHE_BREAKPOINT }];
+}
+
+/**
+ * Marks the last tool definition as a cache breakpoint, which caches the whole tool list
+ * @param {Array} tools - Tool definitions
+ * @returns {Array} Tool definitions with a breakpoint on the last one
+ */
+function cacheTools(tools) {
+  const lastIndex = tools.length - 1;
+  return tools.map((tool, index) => (
+    index === lastIndex ? { ...tool, cache_control: CACHE_BREAKPOINT } : tool
+  ));
+}
+
+/**
+ * Marks the last cacheable content block of the conversation as a cache breakpoint so the
+ * next request can reuse everything before it. The history itself is not
+ * modified, since it is also what gets saved to the database.
+ * @param {Array} messages - Conversation history
+ * @returns {Array} Messages with a breakpoint on the last non-thinking block
+ */
+function cacheMessages(messages) {
+  if (messages.length === 0) {
+    return messages;
+  }
+
+  const lastMessage = messages[messages.length - 1];
+  const content = typeof lastMessage.content === 'string'
+    ? [{ type: 'text', text: lastMessage.content }]
+    : lastMessage.content;
+
+  const lastIndex = Array.isArray(content)
+    ? content.findLastIndex((block) => !THINKING_BLOCK_TYPES.includes(block.type))
+    : -1;
+
+  if (lastIndex < 0) {
+    return messages;
+  }
+
+  return [
+    ...messages.slice(0, -1),
+    {
+      ...lastMessage,
+      content: content.map((block, index) => (
+        index === lastIndex ? { ...block, cache_control: CACHE_BREAKPOINT } : block
+      ))
+    }
+  ];
+}
+
 export default {
   createClaudeService
 };
@@ -8,7 +8,96 @@ export const AppConfig = {
   api: {
     defaultModel: 'claude-sonnet-4-20250514',
     maxTokens: 2000,
+    // Output token limits of known models, matched by the longest name prefix;
+    // other models are capped at defaultMaxOutputTokens
+    maxOutputTokens: {
+      'claude-opus-4': 32000,
+      'claude-sonnet-4': 64000,
+      'claude-3-7-sonnet': 64000,
+      'claude-3-5': 8192,
+      'claude-3': 4096,
+    },
+    defaultMaxOutputTokens: 64000,
     defaultPromptType: 'standardAssistant',
+    // Mark the system prompt, tool definitions and conversation prefix as cacheable
+    promptCaching: true,
+    // Bounds on a single chat turn (one user message and all resulting model calls);
+    // its duration is capped by streaming.maxTurnDurationMs
+    turnLimits: {
+      maxToolRounds: 8,
+      maxTokensPerTurn: 200000,
+      maxTokensContinuations: 1,
+    },
+  },
+
+  // LLM backend; "anthropic" (default) or "openai" for any OpenAI-compatible server
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'anthropic',
+    openaiCompatible: {
+      baseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'llama3.1',
+    },
+  },
+
+  // Conversation context management
+  context: {
+    // Estimated token budget for the history sent to Claude before older turns are summarized
+    maxHistoryTokens: 60000,
+    // Most recent messages that are always sent verbatim
+    keepRecentMessages: 10,
+    // Tool results older than the recent messages are trimmed to this many characters
+    maxToolResultChars: 2000,
+    summaryMaxTokens: 1000,
+    summaryPrompt: "Summarize this conversation between a shopper and a store assistant so the assistant can continue it. Keep products, variants, prices, cart and checkout details, order numbers, customer preferences and any open questions. Be concise and factual.",
+  },
+
+  // MCP Configuration
+  mcp: {
+    toolCacheTtlMs: 5 * 60 * 1000,
+    // Per-method request timeouts; methods not listed use `default`
+    timeoutsMs: {
+      initialize: 10000,
+      'tools/list': 10000,
+      'tools/call': 30000,
+      default: 15000,
+    },
+    // Only methods without side effects are retried
+    retry: {
+      idempotentMethods: [
+        'initialize',
+        'tools/list',
+        'resources/list',
+        'resources/read',
+        'prompts/list',
+        'prompts/get',
+      ],
+      maxAttempts: 3,
+      baseDelayMs: 250,
+      maxDelayMs: 2000,
+    },
+    circuitBreaker: {
+      failureThreshold: 5,
+      resetTimeoutMs: 30000,
+    },
+    // Limits for MCP resources attached to the system prompt as context
+    maxContextResources: 5,
+    maxResourceContextChars: 8000,
+  },
+
+  // Chat response streaming
+  streaming: {
+    // How long a finished turn's events can still be replayed by a reconnecting client
+    replayWindowMs: 60000,
+    // How long a running turn waits for a disconnected client to reconnect before it is stopped
+    reconnectGraceMs: 15000,
+    // Comment lines sent while a turn is quiet so proxies don't close idle connections
+    heartbeatIntervalMs: 15000,
+    // Comment padding sent first so proxies that buffer small responses flush right away
+    initialPaddingBytes: 2048,
+    // Hard cap on a turn; the turn is stopped and ends with a turn_limit_reached event.
+    // Time spent waiting for the customer to confirm a tool call does not count.
+    maxTurnDurationMs: 180000,
   },
 
   // Error Message Templates
@@ -19,13 +108,34 @@ export const AppConfig = {
     apiKeyError: "Please check your API key in environment variables",
     rateLimitExceeded: "Rate limit exceeded",
     rateLimitDetails: "Please try again later",
-    genericError: "Failed to get response from Claude"
+    genericError: "Failed to get response from Claude",
+    refusal: "Sorry, I can't help with that request.",
+    responseTruncated: "My answer was cut short because it got too long. Ask me to continue if you'd like the rest.",
+    streamExpired: "This response is no longer available. Please send your message again.",
+    turnLimitReached: "I wasn't able to finish this request. Please try rephrasing it or breaking it into smaller questions.",
+    invalidCartRequest: "A variant_id and a valid quantity are required",
+    cartUnavailable: "Adding to the cart is not available right now",
+    cartUpdateFailed: "The item could not be added to the cart",
+    turnInProgress: "Please wait until the current response is finished",
+    invalidConfirmation: "An action_id and a decision of approve or decline are required",
+    confirmationExpired: "This action is no longer waiting for a decision"
   },
 
   // Tool Configuration
   tools: {
-    productSearchName: "search_shop_catalog",
-    maxProductsToDisplay: 3
+    // Storefront tool that product card buttons call to add items directly
+    cartUpdateToolName: "update_cart",
+    maxAddToCartQuantity: 99,
+    // Catalog tools whose results are shown as product cards
+    productToolNames: ["search_shop_catalog", "get_product_details", "get_product_recommendations"],
+    maxProductsToDisplay: 10,
+    maxImagesPerProduct: 5,
+    // Tool calls from one assistant message that may run at the same time
+    maxConcurrentToolCalls: 4,
+    // Length of the redacted result summary sent to the widget
+    maxResultSummaryChars: 300,
+    // How long a tool call that needs the customer's confirmation waits for a decision
+    confirmationTimeoutMs: 60000
   }
 };
 
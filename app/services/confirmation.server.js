@@ -0,0 +1,267 @@
+/**
+ * Confirmation Service
+ * Holds back tool calls that the shop's tool policy marks as requiring the
+ * customer's confirmation. The call is saved as a pending action, the widget
+ * asks the customer to approve or decline it, and the call waits until the
+ * decision comes back through the chat route or the confirmation times out.
+ * If the turn stops first, e.g. because the customer reloaded the page, the
+ * action stays pending and a later approval runs the call from the chat route.
+ */
+import {
+  createPendingToolAction,
+  getPendingToolAction,
+  decidePendingToolAction
+} from "../db.server";
+import AppConfig from "./config.server";
+
+export const CONFIRMATION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  DECLINED: 'declined',
+  EXPIRED: 'expired'
+};
+
+/**
+ * Tool calls waiting for a decision, keyed by pending action ID. A call stays
+ * here until its turn has settled the decision. Like the turn buffers, they
+ * live in memory, so a decision must reach the instance running the turn.
+ */
+const waitingCalls = new Map();
+
+/**
+ * Saves a tool call as a pending action and builds the confirmation_required
+ * event that asks the customer about it
+ * @param {Object} request - The tool call
+ * @param {string} request.conversationId - The conversation ID
+ * @param {string} request.toolUseId - The ID of the tool use request
+ * @param {string} request.toolName - Tool name as exposed to the model
+ * @param {Object} request.toolArgs - Arguments of the call
+ * @returns {Promise<Object>} { action, event }: the pending action and the event
+ */
+export async function createConfirmation({ conversationId, toolUseId, toolName, toolArgs }) {
+  const summary = describeToolCall(toolName, toolArgs);
+  const action = await createPendingToolAction(conversationId, {
+    toolUseId,
+    toolName,
+    arguments: toolArgs,
+    summary
+  });
+
+  return {
+    action,
+    event: {
+      type: 'confirmation_required',
+      action_id: action.id,
+      call_id: toolUseId,
+      tool_name: toolName,
+      arguments: toolArgs,
+      summary,
+      expires_at: new Date(Date.now() + AppConfig.tools.confirmationTimeoutMs).toISOString()
+    }
+  };
+}
+
+/**
+ * Asks the customer to confirm a tool call and waits for the decision. The call
+ * expires if no decision arrives in time. If the turn is stopped, the turn
+ * stops waiting but the action stays pending until it times out.
+ * @param {Object} request - The tool call
+ * @param {string} request.conversationId - The conversation ID
+ * @param {string} request.toolUseId - The ID of the tool use request
+ * @param {string} request.toolName - Tool name as exposed to the model
+ * @param {Object} request.toolArgs - Arguments produced by the model
+ * @param {Function} request.sendMessage - Sends an SSE event to the client
+ * @param {AbortSignal} [request.signal] - The turn's abort signal
+ * @returns {Promise<string>} "approved", "declined" or "expired"
+ */
+export async function requestConfirmation({ conversationId, toolUseId, toolName, toolArgs, sendMessage, signal }) {
+  const { action, event } = await createConfirmation({ conversationId, toolUseId, toolName, toolArgs });
+
+  const timeoutMs = AppConfig.tools.confirmationTimeoutMs;
+  let settled = false;
+  let stopped = false;
+  const decision = new Promise((resolve) => {
+    const finish = (status) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', stop);
+      resolve(status);
+    };
+    const expire = () => finish(CONFIRMATION_STATUS.EXPIRED);
+    // The turn can no longer run the call, so a later decision resumes it
+    const stop = () => {
+      if (settled) return;
+      stopped = true;
+      waitingCalls.delete(action.id);
+      expire();
+    };
+    const timer = setTimeout(expire, timeoutMs);
+
+    waitingCalls.set(action.id, finish);
+    if (signal?.aborted) {
+      stop();
+    } else {
+      signal?.addEventListener('abort', stop, { once: true });
+    }
+  });
+
+  sendMessage(event);
+
+  let status = await decision;
+  try {
+    if (status === CONFIRMATION_STATUS.EXPIRED && !stopped) {
+      // A decision saved just before the call expired still counts
+      const expired = await decidePendingToolAction(action.id, conversationId, status);
+      if (!expired) {
+        status = (await getPendingToolAction(action.id))?.status || status;
+      }
+    }
+  } finally {
+    waitingCalls.delete(action.id);
+  }
+
+  console.log(`Confirmation of ${toolName} call ${toolUseId}: ${status}`);
+  sendMessage({
+    type: 'confirmation_resolved',
+    action_id: action.id,
+    call_id: toolUseId,
+    status
+  });
+
+  return status;
+}
+
+/**
+ * Records the customer's decision on a pending action and resumes the tool
+ * call waiting for it. If no turn is waiting any more, e.g. after a reload,
+ * disconnect or restart, an approved action is returned for the caller to run.
+ * @param {string} actionId - The pending action ID
+ * @param {string} conversationId - The conversation the action belongs to
+ * @param {boolean} approved - Whether the customer approved the call
+ * @returns {Promise<Object|null>} { status, action }, where action is the
+ *   approved action the caller must run, or null if a turn runs it or it was
+ *   declined. Null if the action is unknown, already decided or timed out.
+ */
+export async function decideConfirmation(actionId, conversationId, approved) {
+  const status = approved ? CONFIRMATION_STATUS.APPROVED : CONFIRMATION_STATUS.DECLINED;
+
+  const action = await getPendingToolAction(actionId);
+  if (!action || action.conversationId !== conversationId || action.status !== CONFIRMATION_STATUS.PENDING) {
+    return null;
+  }
+
+  // Without a waiting turn nothing else expires the action
+  const ageMs = Date.now() - new Date(action.createdAt).getTime();
+  if (!waitingCalls.has(actionId) && ageMs > AppConfig.tools.confirmationTimeoutMs) {
+    await decidePendingToolAction(actionId, conversationId, CONFIRMATION_STATUS.EXPIRED);
+    return null;
+  }
+
+  if (!(await decidePendingToolAction(actionId, conversationId, status))) {
+    return null;
+  }
+
+  // Checked after the decision is saved: a turn that is still settling reads it
+  const resume = waitingCalls.get(actionId);
+  if (resume) {
+    resume(status);
+    return { status, action: null };
+  }
+
+  return { status, action: status === CONFIRMATION_STATUS.APPROVED ? action : null };
+}
+
+/**
+ * Describes the outcome of an approved call that ran outside a turn. It is
+ * saved as a conversation event, which the model reads in the next turn and
+ * the widget shows as a notice rather than something the customer wrote.
+ * @param {Object} action - The pending action
+ * @param {string} resultSummary - Redacted summary of the tool result
+ * @param {boolean} isError - Whether the call failed
+ * @returns {string} Event text
+ */
+export function describeResumedToolCall(action, resultSummary, isError) {
+  return isError
+    ? `Approved "${action.summary}", but it failed: ${resultSummary}`
+    : `Approved "${action.summary}" and done. Result: ${resultSummary}`;
+}
+
+/**
+ * Builds the tool_result the model gets for a call that did not run
+ * @param {string} toolUseId - The ID of the tool use request
+ * @param {string} status - "declined" or "expired"
+ * @returns {Object} The tool_result block
+ */
+export function createUnconfirmedToolResult(toolUseId, status) {
+  return {
+    type: "tool_result",
+    tool_use_id: toolUseId,
+    content: status === CONFIRMATION_STATUS.DECLINED
+      ? "The customer declined this action, so it was not performed. Do not try it again unless they ask."
+      : "The customer did not confirm this action in time, so it was not performed.",
+    is_error: true
+  };
+}
+
+/**
+ * Describes a tool call in words the customer can approve, e.g.
+ * "Update cart — add items: product variant id 123, quantity 2"
+ * @param {string} toolName - Tool name as exposed to the model
+ * @param {Object} toolArgs - Tool arguments
+ * @returns {string} Summary
+ */
+export function describeToolCall(toolName, toolArgs) {
+  const action = humanize(toolName);
+  const details = Object.entries(toolArgs || {})
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `${humanize(key).toLowerCase()}: ${formatValue(value)}`)
+    .join('; ');
+
+  const summary = details ? `${action} — ${details}` : action;
+  const maxChars = AppConfig.tools.maxResultSummaryChars;
+
+  return summary.length > maxChars ? `${summary.slice(0, maxChars)}…` : summary;
+}
+
+/**
+ * Turns a snake_case or camelCase name into words, e.g. "update_cart" into "Update cart"
+ * @param {string} name - Tool or argument name
+ * @returns {string} Readable name
+ */
+function humanize(name) {
+  const words = String(name)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .trim()
+    .toLowerCase();
+
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Formats an argument value for the summary
+ * @param {*} value - Argument value
+ * @returns {string} Readable value
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(formatValue).join(', ');
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value)
+      .map(([key, entry]) => `${humanize(key).toLowerCase()} ${formatValue(entry)}`)
+      .join(', ');
+  }
+  return String(value);
+}
+
+export default {
+  CONFIRMATION_STATUS,
+  createConfirmation,
+  requestConfirmation,
+  decideConfirmation,
+  describeResumedToolCall,
+  createUnconfirmedToolResult,
+  describeToolCall
+};
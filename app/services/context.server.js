@@ -0,0 +1,210 @@
+/**
+ * Context Service
+ * Keeps the conversation history sent to Claude within the context window by
+ * trimming old tool results and rolling older turns up into a stored summary.
+ * The full history is left untouched in the database.
+ */
+import { getConversationSummary, storeConversationSummary } from "../db.server";
+import AppConfig from "./config.server";
+
+/**
+ * Estimates the number of tokens in a value. Uses the common ~4 characters
+ * per token approximation, which is close enough for budgeting decisions.
+ * @param {*} value - A string or JSON-serializable value
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Creates a context service instance
+ * @param {Object} llmService - LLM service used to write summaries
+ * @returns {Object} Context service with methods for building the model history
+ */
+export function createContextService(llmService) {
+  /**
+   * Builds the messages to send to Claude for a conversation
+   * @param {string} conversationId - The conversation ID
+   * @param {Array} dbMessages - All stored messages, oldest first
+   * @returns {Promise<Array>} Messages for the Claude API
+   */
+  const buildHistory = async (conversationId, dbMessages) => {
+    let summary = await getConversationSummary(conversationId);
+
+    // Only messages newer than the summary are sent verbatim
+    let rows = dbMessages;
+    if (summary) {
+      const coveredIndex = summary.lastMessageId
+        ? dbMessages.findIndex((message) => message.id === summary.lastMessageId)
+        : -1;
+
+      if (coveredIndex >= 0) {
+        rows = dbMessages.slice(coveredIndex + 1);
+      } else {
+        // Without its watermark there is no telling which messages the summary
+        // covers, and sending both would repeat them. The summary is rebuilt
+        // from the full history instead.
+        console.warn(`Summary watermark of conversation ${conversationId} not found, rebuilding the summary`);
+        summary = null;
+      }
+    }
+
+    let messages = trimToolResults(rows.map(toApiMessage));
+
+    const totalTokens = estimateTokens(messages) + estimateTokens(summary?.summary || '');
+    if (totalTokens > AppConfig.context.maxHistoryTokens) {
+      const splitIndex = findSplitIndex(messages);
+
+      if (splitIndex > 0) {
+        try {
+          const summaryText = await llmService.summarizeConversation({
+            transcript: toTranscript(messages.slice(0, splitIndex)),
+            previousSummary: summary?.summary
+          });
+
+          summary = await storeConversationSummary(
+            conversationId,
+            summaryText,
+            rows[splitIndex - 1].id
+          );
+          messages = messages.slice(splitIndex);
+
+          console.log(`Compacted ${splitIndex} messages of conversation ${conversationId} into a summary`);
+        } catch (error) {
+          console.error('Error summarizing conversation, sending trimmed history:', error);
+        }
+      }
+    }
+
+    if (!summary) {
+      return messages;
+    }
+
+    return [
+      {
+        role: 'user',
+        content: `Summary of the earlier conversation:\n${summary.summary}`
+      },
+      ...messages
+    ];
+  };
+
+  /**
+   * Converts a stored message into a Claude API message
+   * @param {Object} dbMessage - Message record
+   * @returns {Object} API message
+   */
+  const toApiMessage = (dbMessage) => {
+    // Events, such as items added from a product card, reach the model as
+    // notes it can tell apart from what the shopper wrote
+    if (dbMessage.role === 'event') {
+      return {
+        role: 'user',
+        content: [{ type: 'text', text: `[Conversation event, not written by the shopper] ${dbMessage.content}` }]
+      };
+    }
+
+    let content;
+    try {
+      content = JSON.parse(dbMessage.content);
+    } catch (e) {
+      content = dbMessage.content;
+    }
+    return {
+      role: dbMessage.role,
+      content
+    };
+  };
+
+  /**
+   * Shortens large tool results outside the most recent messages
+   * @param {Array} messages - API messages
+   * @returns {Array} Messages with old tool results trimmed
+   */
+  const trimToolResults = (messages) => {
+    const { keepRecentMessages, maxToolResultChars } = AppConfig.context;
+    const recentStart = messages.length - keepRecentMessages;
+
+    return messages.map((message, index) => {
+      if (index >= recentStart || !Array.isArray(message.content)) {
+        return message;
+      }
+
+      return {
+        ...message,
+        content: message.content.map((block) => {
+          if (block.type !== 'tool_result') return block;
+
+          const text = typeof block.content === 'string'
+            ? block.content
+            : JSON.stringify(block.content);
+
+          if (text.length <= maxToolResultChars) return block;
+
+          return {
+            ...block,
+            content: `${text.slice(0, maxToolResultChars)}… [trimmed ${text.length - maxToolResultChars} characters]`
+          };
+        })
+      };
+    });
+  };
+
+  /**
+   * Finds where older messages end and the verbatim tail begins. The tail must
+   * start with a shopper's text message so tool_use/tool_result pairs stay together.
+   * @param {Array} messages - API messages
+   * @returns {number} Index of the first verbatim message, or 0 if none fits
+   */
+  const findSplitIndex = (messages) => {
+    for (let index = messages.length - AppConfig.context.keepRecentMessages; index > 0; index--) {
+      const message = messages[index];
+      if (message.role === 'user' && typeof message.content === 'string') {
+        return index;
+      }
+    }
+    return 0;
+  };
+
+  /**
+   * Renders messages as a plain-text transcript for summarization
+   * @param {Array} messages - API messages
+   * @returns {string} Transcript
+   */
+  const toTranscript = (messages) => {
+    return messages.map((message) => {
+      const speaker = message.role === 'user' ? 'Shopper' : 'Assistant';
+
+      if (typeof message.content === 'string') {
+        return `${speaker}: ${message.content}`;
+      }
+
+      return message.content.map((block) => {
+        switch (block.type) {
+          case 'text':
+            return `${speaker}: ${block.text}`;
+          case 'tool_use':
+            return `Assistant called ${block.name} with ${JSON.stringify(block.input)}`;
+          case 'tool_result': {
+            const text = typeof block.content === 'string' ? block.content : JSON.stringify(block.content);
+            return `Tool result: ${text.slice(0, AppConfig.context.maxToolResultChars)}`;
+          }
+          default:
+            return '';
+        }
+      }).filter(Boolean).join('\n');
+    }).join('\n');
+  };
+
+  return {
+    buildHistory,
+    trimToolResults
+  };
+}
+
+export default {
+  createContextService,
+  estimateTokens
+};
@@ -0,0 +1,63 @@
+/**
+ * LLM Provider Service
+ * Selects the model backend for the chat. Every provider exposes the same
+ * interface as the Claude service: streamConversation with the onText,
+ * onMessage, onContentBlock, onToolUse and onToolResults handlers,
+ * summarizeConversation and getSystemPrompt. History and tools are always
+ * passed in Anthropic's format; providers translate them as needed.
+ */
+import AppConfig from "./config.server";
+import { createClaudeService } from "./claude.server";
+import { createOpenAICompatibleService } from "./openai-compatible.server";
+
+export const LLM_PROVIDERS = {
+  ANTHROPIC: 'anthropic',
+  OPENAI_COMPATIBLE: 'openai'
+};
+
+/**
+ * Creates the LLM service for a provider
+ * @param {Object} options - Provider options, usually a shop's model config
+ * @param {string} options.provider - Provider name, defaults to the configured provider
+ * @param {string} [options.model] - Model name
+ * @param {number} [options.maxTokens] - Maximum output tokens per response
+ * @param {number} [options.temperature] - Sampling temperature
+ * @param {number} [options.thinkingBudget] - Extended thinking budget (Anthropic only)
+ * @returns {Object} LLM service
+ */
+export function createLlmService({ provider, model, maxTokens, temperature, thinkingBudget } = {}) {
+  const settings = {
+    model: model || undefined,
+    maxTokens: maxTokens || undefined,
+    temperature: temperature ?? undefined,
+    thinkingBudget: thinkingBudget || undefined
+  };
+
+  switch (provider || AppConfig.llm.provider) {
+    case LLM_PROVIDERS.ANTHROPIC:
+      return createClaudeService(undefined, settings);
+    case LLM_PROVIDERS.OPENAI_COMPATIBLE:
+      return createOpenAICompatibleService(settings);
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+}
+
+/**
+ * Gets the most output tokens a model can produce in one response
+ * @param {string} model - Model name
+ * @returns {number} Output token limit
+ */
+export function getMaxOutputTokens(model) {
+  const prefix = Object.keys(AppConfig.api.maxOutputTokens)
+    .filter((name) => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? AppConfig.api.maxOutputTokens[prefix] : AppConfig.api.defaultMaxOutputTokens;
+}
+
+export default {
+  createLlmService,
+  getMaxOutputTokens,
+  LLM_PROVIDERS
+};
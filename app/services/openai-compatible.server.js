@@ -0,0 +1,376 @@
+/**
+ * OpenAI-Compatible Service
+ * Streams conversations from any server that implements the OpenAI chat
+ * completions API (OpenAI, vLLM, Ollama, LM Studio, ...). Conversation history
+ * and tools stay in Anthropic's format everywhere else in the app, so this
+ * service translates them on the way in and out.
+ */
+import { randomUUID } from "node:crypto";
+import AppConfig from "./config.server";
+import { dispatchToolUses } from "./tool-dispatch.server";
+import systemPrompts from "../prompts/prompts.json";
+
+// OpenAI finish reasons mapped to Anthropic stop reasons
+const STOP_REASONS = {
+  stop: 'end_turn',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  length: 'max_tokens',
+  content_filter: 'refusal'
+};
+
+// Chat completions servers don't continue a trailing assistant message the way
+// Anthropic's prefill does, so a reply cut off at max_tokens is continued on request
+const CONTINUE_INSTRUCTION = 'Your previous reply was cut off. Continue it exactly where it stopped, without repeating anything.';
+
+/**
+ * Creates an OpenAI-compatible service instance
+ * @param {Object} options - Service options
+ * @param {string} options.baseUrl - Base URL of the API, e.g. http://localhost:11434/v1
+ * @param {string} options.apiKey - API key, if the server requires one
+ * @param {string} options.model - Model name
+ * @param {number} options.maxTokens - Maximum output tokens per response
+ * @param {number} options.temperature - Sampling temperature
+ * @returns {Object} Service with the same interface as the Claude service
+ */
+export function createOpenAICompatibleService({
+  baseUrl = AppConfig.llm.openaiCompatible.baseUrl,
+  apiKey = AppConfig.llm.openaiCompatible.apiKey,
+  model,
+  maxTokens,
+  temperature
+} = {}) {
+  const endpoint = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+  model = model || AppConfig.llm.openaiCompatible.model;
+  maxTokens = maxTokens || AppConfig.api.maxTokens;
+
+  /**
+   * Streams a conversation from the chat completions API
+   * @param {Object} params - Stream parameters
+   * @param {Array} params.messages - Conversation history in Anthropic format
+   * @param {string} params.promptType - The type of system prompt to use
+   * @param {Array} params.tools - Available tools in Anthropic format
+   * @param {string} params.systemPrompt - Optional system prompt that replaces the promptType lookup
+   * @param {AbortSignal} params.signal - Cancels the request; text streamed so far is still passed to onMessage
+   * @param {Object} streamHandlers - Stream event handlers, as for the Claude service
+   * @returns {Promise<Object>} The final message in Anthropic format
+   */
+  const streamConversation = async ({
+    messages,
+    promptType = AppConfig.api.defaultPromptType,
+    tools,
+    systemPrompt,
+    signal
+  }, streamHandlers) => {
+    const systemInstruction = systemPrompt || getSystemPrompt(promptType);
+
+    const response = await postCompletion({
+      messages: toOpenAIMessages(systemInstruction, messages),
+      tools: tools && tools.length > 0 ? tools.map(toOpenAITool) : undefined,
+      max_tokens: maxTokens,
+      ...(temperature != null && { temperature }),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, signal);
+
+    let text = '';
+    let finishReason = null;
+    let usage = null;
+    const toolCalls = [];
+
+    try {
+      for await (const chunk of readEventStream(response.body)) {
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+
+        const choice = chunk.choices?.[0];
+        if (!choice) continue;
+
+        const delta = choice.delta || {};
+        if (delta.content) {
+          text += delta.content;
+          streamHandlers.onText?.(delta.content);
+        }
+
+        // Tool call names and arguments arrive in fragments keyed by index
+        for (const fragment of delta.tool_calls || []) {
+          const toolCall = toolCalls[fragment.index] ||= { id: '', name: '', arguments: '' };
+          if (fragment.id) toolCall.id = fragment.id;
+          if (fragment.function?.name) toolCall.name += fragment.function.name;
+          if (fragment.function?.arguments) toolCall.arguments += fragment.function.arguments;
+        }
+
+        if (choice.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+      }
+    } catch (error) {
+      // Keep the text the shopper already saw; unfinished tool calls are dropped
+      if (signal?.aborted && text) {
+        streamHandlers.onMessage?.({
+          role: 'assistant',
+          content: [{ type: 'text', text }],
+          stop_reason: 'cancelled'
+        });
+      }
+      throw error;
+    }
+
+    const finalMessage = toAnthropicMessage({ text, toolCalls, finishReason, usage });
+
+    for (const block of finalMessage.content) {
+      streamHandlers.onContentBlock?.(block);
+    }
+    streamHandlers.onMessage?.(finalMessage);
+
+    // Process tool use requests
+    await dispatchToolUses(finalMessage, streamHandlers);
+
+    return finalMessage;
+  };
+
+  /**
+   * Summarizes part of a conversation so it can replace the original messages
+   * @param {Object} params - Summary parameters
+   * @param {string} params.transcript - Plain-text transcript of the messages to summarize
+   * @param {string} params.previousSummary - Summary of the messages before the transcript, if any
+   * @returns {Promise<string>} The summary text
+   */
+  const summarizeConversation = async ({ transcript, previousSummary }) => {
+    const response = await postCompletion({
+      messages: [
+        { role: 'system', content: AppConfig.context.summaryPrompt },
+        {
+          role: 'user',
+          content: previousSummary
+            ? `Summary so far:\n${previousSummary}\n\nLater conversation:\n${transcript}`
+            : transcript
+        }
+      ],
+      max_tokens: AppConfig.context.summaryMaxTokens
+    });
+
+    const body = await response.json();
+    return body.choices?.[0]?.message?.content || '';
+  };
+
+  /**
+   * Gets the system prompt content for a given prompt type
+   * @param {string} promptType - The prompt type to retrieve
+   * @returns {string} The system prompt content
+   */
+  const getSystemPrompt = (promptType) => {
+    return systemPrompts.systemPrompts[promptType]?.content ||
+      systemPrompts.systemPrompts[AppConfig.api.defaultPromptType].content;
+  };
+
+  /**
+   * Sends a chat completions request
+   * @param {Object} body - Request body without the model
+   * @param {AbortSignal} [signal] - Cancels the request
+   * @returns {Promise<Response>} The successful response
+   */
+  const postCompletion = async (body, signal) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model, ...body }),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`Chat completions request failed: ${response.status} ${errorText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  };
+
+  return {
+    provider: 'openai',
+    model,
+    streamConversation,
+    summarizeConversation,
+    getSystemPrompt
+  };
+}
+
+/**
+ * Converts an Anthropic tool definition into an OpenAI function tool
+ * @param {Object} tool - Tool with name, description and input_schema
+ * @returns {Object} OpenAI tool
+ */
+function toOpenAITool(tool) {
+  return {
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.input_schema || { type: 'object', properties: {} }
+    }
+  };
+}
+
+/**
+ * Converts Anthropic-format history into OpenAI chat messages. Assistant
+ * tool_use blocks become tool_calls and tool_result blocks become tool messages.
+ * @param {string} systemInstruction - The system prompt
+ * @param {Array} messages - Conversation history in Anthropic format
+ * @returns {Array} OpenAI chat messages
+ */
+function toOpenAIMessages(systemInstruction, messages) {
+  const result = [{ role: 'system', content: systemInstruction }];
+
+  for (const message of messages) {
+    if (typeof message.content === 'string') {
+      result.push({ role: message.role, content: message.content });
+      continue;
+    }
+
+    const blocks = message.content || [];
+    const text = blocks
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('');
+
+    if (message.role === 'assistant') {
+      const toolCalls = blocks
+        .filter((block) => block.type === 'tool_use')
+        .map((block) => ({
+          id: block.id,
+          type: 'function',
+          function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+        }));
+
+      result.push({
+        role: 'assistant',
+        content: text || null,
+        ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+      });
+      continue;
+    }
+
+    for (const block of blocks) {
+      if (block.type === 'tool_result') {
+        result.push({
+          role: 'tool',
+          tool_call_id: block.tool_use_id,
+          content: toolResultText(block.content)
+        });
+      }
+    }
+
+    if (text) {
+      result.push({ role: 'user', content: text });
+    }
+  }
+
+  // History ending in an assistant message asks for that message to be continued
+  if (messages.length > 0 && messages[messages.length - 1].role === 'assistant') {
+    result.push({ role: 'user', content: CONTINUE_INSTRUCTION });
+  }
+
+  return result;
+}
+
+/**
+ * Flattens tool_result content into plain text
+ * @param {string|Array} content - Tool result content
+ * @returns {string} Text content
+ */
+function toolResultText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .map((block) => (block.type === 'text' ? block.text : JSON.stringify(block)))
+      .join('\n');
+  }
+  return JSON.stringify(content ?? '');
+}
+
+/**
+ * Builds an Anthropic-format assistant message from a streamed completion
+ * @param {Object} completion - Accumulated completion
+ * @returns {Object} Assistant message with content blocks, stop reason and usage
+ */
+function toAnthropicMessage({ text, toolCalls, finishReason, usage }) {
+  const content = [];
+  const toolUseIds = new Set();
+
+  if (text) {
+    content.push({ type: 'text', text });
+  }
+
+  for (const toolCall of toolCalls.filter(Boolean)) {
+    // Some servers omit or repeat tool call IDs, but every tool_use needs its own
+    const id = toolCall.id && !toolUseIds.has(toolCall.id) ? toolCall.id : `call_${randomUUID()}`;
+    toolUseIds.add(id);
+
+    let input = {};
+    try {
+      input = toolCall.arguments ? JSON.parse(toolCall.arguments) : {};
+    } catch (e) {
+      console.warn(`Invalid JSON arguments for tool ${toolCall.name}:`, toolCall.arguments);
+    }
+
+    content.push({ type: 'tool_use', id, name: toolCall.name, input });
+  }
+
+  return {
+    role: 'assistant',
+    content,
+    stop_reason: STOP_REASONS[finishReason] || 'end_turn',
+    usage: {
+      input_tokens: usage?.prompt_tokens || 0,
+      output_tokens: usage?.completion_tokens || 0
+    }
+  };
+}
+
+/**
+ * Reads the JSON chunks of an OpenAI streaming response
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<Object>} Parsed chunks, ending at [DONE]
+ */
+async function* readEventStream(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+
+      const data = trimmed.slice(5).trim();
+      if (data === '[DONE]') return;
+
+      try {
+        yield JSON.parse(data);
+      } catch (e) {
+        console.warn('Skipping malformed stream chunk:', data);
+      }
+    }
+  }
+}
+
+export default {
+  createOpenAICompatibleService
+};
@@ -0,0 +1,294 @@
+/**
+ * Product Service
+ * Normalizes the products returned by catalog tools (search, product details,
+ * recommendations) into one model that the widget renders as cards with
+ * prices, images and variant pickers.
+ */
+import AppConfig from "./config.server";
+
+/**
+ * Extracts and normalizes the products in a catalog tool response
+ * @param {Object} toolUseResponse - The response from the tool
+ * @returns {Array} Normalized products
+ */
+export function extractProducts(toolUseResponse) {
+  const products = [];
+
+  for (const payload of readPayloads(toolUseResponse)) {
+    const items = [
+      ...(Array.isArray(payload) ? payload : []),
+      ...(Array.isArray(payload?.products) ? payload.products : []),
+      ...(Array.isArray(payload?.recommendations) ? payload.recommendations : []),
+      ...(payload?.product && typeof payload.product === 'object' ? [payload.product] : [])
+    ];
+
+    for (const item of items) {
+      if (item && typeof item === 'object') {
+        products.push(normalizeProduct(item));
+      }
+    }
+  }
+
+  return products;
+}
+
+/**
+ * Adds products to a list, replacing earlier entries for the same product so a
+ * details lookup refines a search result instead of duplicating it
+ * @param {Array} productList - Products collected so far; modified in place
+ * @param {Array} products - Products to add
+ */
+export function mergeProducts(productList, products) {
+  for (const product of products) {
+    const index = productList.findIndex((existing) => existing.id === product.id);
+    if (index >= 0) {
+      productList[index] = product;
+    } else if (productList.length < AppConfig.tools.maxProductsToDisplay) {
+      productList.push(product);
+    }
+  }
+}
+
+/**
+ * Converts a catalog product into the normalized product model
+ * @param {Object} raw - Product as returned by the tool
+ * @returns {Object} Normalized product
+ */
+export function normalizeProduct(raw) {
+  const variantList = raw.variants?.nodes || raw.variants || [];
+  const variants = variantList.map(normalizeVariant);
+
+  const selectedVariant = raw.selected_or_first_available_variant;
+  if (variants.length === 0 && selectedVariant) {
+    variants.push(normalizeVariant(selectedVariant));
+  }
+
+  const priceRange = normalizePriceRange(raw, variants);
+  const { imageUrl, images } = normalizeImages(raw, variants);
+  const compareAtPrices = sortAmounts(variants.map((variant) => variant.compare_at_price));
+  const compareAtPrice = readAmount(raw.compare_at_price) ?? compareAtPrices.at(-1) ?? null;
+
+  return {
+    id: String(raw.product_id || raw.id || `product-${Math.random().toString(36).substring(7)}`),
+    handle: raw.handle || readHandle(raw.url),
+    title: raw.title || 'Product',
+    description: raw.description || '',
+    url: raw.url || '',
+    price: formatPrice(priceRange),
+    price_range: priceRange,
+    compare_at_price: compareAtPrice !== null && priceRange && Number(compareAtPrice) > Number(priceRange.min)
+      ? compareAtPrice
+      : null,
+    available: raw.available ?? raw.availableForSale ??
+      (variants.length > 0 ? variants.some((variant) => variant.available) : true),
+    image_url: imageUrl,
+    images,
+    options: normalizeOptions(raw.options, variants),
+    variants
+  };
+}
+
+/**
+ * Converts a catalog variant into the normalized variant model
+ * @param {Object} raw - Variant as returned by the tool
+ * @returns {Object} Normalized variant
+ */
+function normalizeVariant(raw) {
+  const selectedOptions = raw.selected_options || raw.selectedOptions || [];
+
+  return {
+    id: String(raw.variant_id || raw.id || ''),
+    title: raw.title || '',
+    price: readAmount(raw.price) ?? '',
+    compare_at_price: readAmount(raw.compare_at_price ?? raw.compareAtPrice),
+    currency: raw.currency || raw.price?.currencyCode || raw.price?.currency || '',
+    available: raw.available ?? raw.availableForSale ?? true,
+    image_url: readImageUrl(raw.image_url ?? raw.image) || '',
+    selected_options: selectedOptions.map((option) => ({
+      name: option.name,
+      value: option.value
+    }))
+  };
+}
+
+/**
+ * Reads the product's price range, falling back to its variant prices
+ * @param {Object} raw - Product as returned by the tool
+ * @param {Array} variants - Normalized variants
+ * @returns {Object|null} { min, max, currency } or null if no price is known
+ */
+function normalizePriceRange(raw, variants) {
+  const range = raw.price_range || raw.priceRange;
+  if (range) {
+    const min = readAmount(range.min ?? range.minVariantPrice);
+    return {
+      min,
+      max: readAmount(range.max ?? range.maxVariantPrice) ?? min,
+      currency: range.currency || range.minVariantPrice?.currencyCode || ''
+    };
+  }
+
+  const prices = sortAmounts(variants.map((variant) => variant.price));
+  if (prices.length === 0) {
+    return null;
+  }
+
+  return {
+    min: prices[0],
+    max: prices.at(-1),
+    currency: variants[0].currency
+  };
+}
+
+/**
+ * Sorts amounts by value, dropping missing and zero amounts. The amounts keep
+ * their original formatting, e.g. "10.00".
+ * @param {Array<string|null>} amounts - Amounts to sort
+ * @returns {Array<string>} Amounts from lowest to highest
+ */
+function sortAmounts(amounts) {
+  return amounts
+    .filter((amount) => Number(amount) > 0)
+    .sort((a, b) => Number(a) - Number(b));
+}
+
+/**
+ * Reads the product options, or derives them from the variants' selected options
+ * @param {Array} options - Options as returned by the tool
+ * @param {Array} variants - Normalized variants
+ * @returns {Array} Options as { name, values }
+ */
+function normalizeOptions(options, variants) {
+  if (Array.isArray(options) && options.length > 0) {
+    return options.map((option) => ({
+      name: option.name,
+      values: (option.values || option.optionValues || []).map((value) => value?.name ?? value)
+    }));
+  }
+
+  const derived = new Map();
+  for (const variant of variants) {
+    for (const { name, value } of variant.selected_options) {
+      if (!derived.has(name)) derived.set(name, new Set());
+      derived.get(name).add(value);
+    }
+  }
+
+  return Array.from(derived, ([name, values]) => ({ name, values: Array.from(values) }));
+}
+
+/**
+ * Collects product and variant images without duplicates
+ * @param {Object} raw - Product as returned by the tool
+ * @param {Array} variants - Normalized variants
+ * @returns {Object} { imageUrl, images } where images is a list of { url, alt }
+ */
+function normalizeImages(raw, variants) {
+  const candidates = [
+    raw.image_url,
+    raw.featured_image ?? raw.featuredImage,
+    ...(raw.images?.nodes || raw.images || []),
+    ...variants.map((variant) => variant.image_url)
+  ];
+
+  const images = [];
+  for (const candidate of candidates) {
+    const url = readImageUrl(candidate);
+    if (url && !images.some((image) => image.url === url)) {
+      images.push({ url, alt: candidate?.alt_text || candidate?.altText || candidate?.alt || raw.title || '' });
+    }
+  }
+
+  const limited = images.slice(0, AppConfig.tools.maxImagesPerProduct);
+  return { imageUrl: limited[0]?.url || '', images: limited };
+}
+
+/**
+ * Reads a plain amount from a number, string or money object
+ * @param {*} value - Price value
+ * @returns {string|null} The amount, or null if missing
+ */
+function readAmount(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value === 'object') {
+    return readAmount(value.amount);
+  }
+  return String(value);
+}
+
+/**
+ * Reads an image URL from a string or image object
+ * @param {*} image - Image value
+ * @returns {string|null} The URL, if any
+ */
+function readImageUrl(image) {
+  if (typeof image === 'string') {
+    return image;
+  }
+  return image?.url || image?.src || null;
+}
+
+/**
+ * Reads the product handle from a product URL
+ * @param {string} url - Product URL
+ * @returns {string} The handle, or an empty string
+ */
+function readHandle(url) {
+  const match = typeof url === 'string' ? url.match(/\/products\/([^/?#]+)/) : null;
+  return match ? decodeURIComponent(match[1]) : '';
+}
+
+/**
+ * Formats a price range for display
+ * @param {Object|null} priceRange - { min, max, currency }
+ * @returns {string} Display price
+ */
+function formatPrice(priceRange) {
+  if (!priceRange?.min) {
+    return 'Price not available';
+  }
+
+  const { min, max, currency } = priceRange;
+  return max && max !== min
+    ? `${currency} ${min} - ${max}`.trim()
+    : `${currency} ${min}`.trim();
+}
+
+/**
+ * Parses the JSON payloads of a tool response. Structured content is preferred;
+ * otherwise every text content block that holds JSON is read.
+ * @param {Object} toolUseResponse - The response from the tool
+ * @returns {Array} Parsed payloads
+ */
+function readPayloads(toolUseResponse) {
+  if (toolUseResponse?.structuredContent && typeof toolUseResponse.structuredContent === 'object') {
+    return [toolUseResponse.structuredContent];
+  }
+
+  const payloads = [];
+
+  for (const block of toolUseResponse?.content || []) {
+    if (block?.type !== 'text') continue;
+
+    if (typeof block.text === 'object') {
+      payloads.push(block.text);
+      continue;
+    }
+
+    try {
+      payloads.push(JSON.parse(block.text));
+    } catch (e) {
+      // Plain-text content carries no product data
+    }
+  }
+
+  return payloads;
+}
+
+export default {
+  extractProducts,
+  mergeProducts,
+  normalizeProduct
+};
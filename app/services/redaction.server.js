@@ -0,0 +1,50 @@
+/**
+ * Redaction Service
+ * Removes personal data and secrets from tool results before they are shown
+ * to shoppers or kept in the database.
+ */
+
+// Keys whose values are always redacted
+const SENSITIVE_KEY_PATTERN = /token|secret|password|authorization|api[_-]?key|email|phone|address|card/i;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/g;
+const PHONE_PATTERN = /\+\d[\d\s().-]{7,}\d|\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g;
+// Query strings of checkout and account links can carry access tokens
+const URL_QUERY_PATTERN = /(https?:\/\/[^\s"?]+)\?[^\s"]*/g;
+const REDACTED = '[redacted]';
+
+/**
+ * Replaces the values of sensitive keys in parsed JSON
+ * @param {*} value - Parsed JSON value
+ * @returns {*} Copy of the value with sensitive fields redacted
+ */
+export function redactValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [
+        key,
+        SENSITIVE_KEY_PATTERN.test(key) ? REDACTED : redactValue(entry)
+      ])
+    );
+  }
+  return value;
+}
+
+/**
+ * Removes email addresses, phone numbers and URL query strings from text
+ * @param {string} text - Text to redact
+ * @returns {string} Redacted text
+ */
+export function redactText(text) {
+  return text
+    .replace(EMAIL_PATTERN, REDACTED)
+    .replace(PHONE_PATTERN, REDACTED)
+    .replace(URL_QUERY_PATTERN, '$1');
+}
+
+export default {
+  redactValue,
+  redactText
+};
@@ -0,0 +1,177 @@
+/**
+ * Schema Validator Service
+ * Validates tool arguments against the JSON Schema a tool advertises in its
+ * input_schema, so malformed calls are caught before reaching the MCP server.
+ * Also used to check outgoing chat stream events against the SSE protocol.
+ */
+import Ajv from "ajv";
+
+// strict: false because MCP servers publish schemas with keywords Ajv does not know
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// Removes properties a schema does not allow and converts mismatched scalar types
+const coercingAjv = new Ajv({ allErrors: true, strict: false, removeAdditional: true, coerceTypes: true });
+
+// Compiled validators, keyed by the serialized schema
+const validators = new Map();
+const coercingValidators = new Map();
+
+/**
+ * Gets a compiled validator for a schema
+ * @param {Object} schema - JSON Schema
+ * @param {Object} [options] - Validator options
+ * @param {boolean} [options.coerce] - Get a validator that repairs the value in place
+ * @returns {Function|null} The validator, or null if the schema cannot be compiled
+ */
+const getValidator = (schema, { coerce = false } = {}) => {
+  const key = JSON.stringify(schema);
+  const cache = coerce ? coercingValidators : validators;
+
+  if (!cache.has(key)) {
+    cache.set(key, compileWith(coerce ? coercingAjv : ajv, schema));
+  }
+
+  return cache.get(key);
+};
+
+/**
+ * Compiles a schema with an Ajv instance
+ * @param {Ajv} instance - The Ajv instance
+ * @param {Object} schema - JSON Schema
+ * @returns {Function|null} The validator, or null if the schema cannot be compiled
+ */
+const compileWith = (instance, schema) => {
+  try {
+    return instance.compile(schema);
+  } catch (error) {
+    console.warn('Unable to compile schema, skipping validation:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Compiles a schema up front for values that are checked often, such as the
+ * events of the chat stream, so no lookup by serialized schema is needed
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} { validate, coerce }, which work like validateSchema and
+ *   coerceToSchema for this schema
+ */
+export function compileSchema(schema) {
+  const validator = compileWith(ajv, schema);
+  const coercingValidator = compileWith(coercingAjv, schema);
+
+  return {
+    validate: (value) => runValidator(validator, value),
+    coerce: (value) => fitValue(validator, coercingValidator, value)
+  };
+}
+
+/**
+ * Validates tool arguments against a tool's input schema
+ * @param {Object} schema - The tool's input_schema
+ * @param {Object} args - The arguments produced by the model
+ * @returns {Object} { valid, errors } where errors is a list of { path, message }
+ */
+export function validateToolArguments(schema, args) {
+  return validateSchema(schema, args ?? {});
+}
+
+/**
+ * Validates a value against a JSON Schema
+ * @param {Object} schema - JSON Schema; a missing schema accepts everything
+ * @param {*} value - The value to check
+ * @returns {Object} { valid, errors } where errors is a list of { path, message }
+ */
+export function validateSchema(schema, value) {
+  if (!schema) {
+    return { valid: true, errors: [] };
+  }
+
+  return runValidator(getValidator(schema), value);
+}
+
+/**
+ * Fits a value to a JSON Schema: properties the schema does not allow are
+ * removed and scalar types are converted where possible. The value itself is
+ * left unchanged.
+ * @param {Object} schema - JSON Schema; a missing schema accepts everything
+ * @param {*} value - The value to fit
+ * @returns {Object} { value, valid, errors } where value is the repaired copy and
+ *   errors lists the original violations as { path, message }
+ */
+export function coerceToSchema(schema, value) {
+  if (!schema) {
+    return { value, valid: true, errors: [] };
+  }
+
+  return fitValue(getValidator(schema), getValidator(schema, { coerce: true }), value);
+}
+
+/**
+ * Runs a compiled validator
+ * @param {Function|null} validate - The validator; null accepts everything
+ * @param {*} value - The value to check
+ * @returns {Object} { valid, errors } where errors is a list of { path, message }
+ */
+function runValidator(validate, value) {
+  if (!validate || validate(value)) {
+    return { valid: true, errors: [] };
+  }
+
+  return { valid: false, errors: formatErrors(validate.errors) };
+}
+
+/**
+ * Checks a value and repairs a copy of it if it does not match
+ * @param {Function|null} validate - The validator
+ * @param {Function|null} coerce - The coercing validator for the same schema
+ * @param {*} value - The value to fit
+ * @returns {Object} { value, valid, errors }, as returned by coerceToSchema
+ */
+function fitValue(validate, coerce, value) {
+  const { valid, errors } = runValidator(validate, value);
+  if (valid) {
+    return { value, valid, errors };
+  }
+
+  const repaired = structuredClone(value);
+  const repairedValid = !coerce || coerce(repaired);
+
+  return { value: repaired, valid: repairedValid, errors };
+}
+
+/**
+ * Converts Ajv errors into { path, message } entries
+ * @param {Array} errors - Ajv errors
+ * @returns {Array} Readable errors
+ */
+function formatErrors(errors) {
+  return errors.map((error) => ({
+    path: error.instancePath || '/',
+    message: error.params?.missingProperty
+      ? `missing required property "${error.params.missingProperty}"`
+      : error.params?.additionalProperty
+        ? `unexpected property "${error.params.additionalProperty}"`
+        : error.message
+  }));
+}
+
+/**
+ * Formats validation errors as a tool result the model can act on
+ * @param {string} toolName - The tool that was called
+ * @param {Array} errors - Errors returned by validateToolArguments
+ * @returns {string} A description of the violations
+ */
+export function formatValidationErrors(toolName, errors) {
+  const violations = errors.map(({ path, message }) => `- ${path}: ${message}`).join('\n');
+
+  return `Invalid arguments for tool ${toolName}. Fix the following and call the tool again:\n${violations}`;
+}
+
+export default {
+  validateToolArguments,
+  validateSchema,
+  coerceToSchema,
+  compileSchema,
+  formatValidationErrors
+};
@@ -0,0 +1,313 @@
+/**
+ * SSE Protocol Service
+ * Versioned definition of the events streamed by the /chat endpoint, shared by
+ * the chat widget and any third-party front end.
+ *
+ * Every event is a JSON object in the SSE `data:` field. Its `type` property
+ * names the event and is repeated in the SSE `event:` field; the `id:` field is
+ * "<turn id>:<sequence>" and can be sent back as Last-Event-ID to resume.
+ *
+ * Clients send the protocol version they speak in the X-Chat-Protocol-Version
+ * header. The server rejects an incompatible major version and confirms the
+ * version it speaks in the first `id` event. The minor version changes when
+ * events or optional fields are added; the major version when existing ones change.
+ * The schemas below are served at /chat?protocol=true.
+ */
+import { compileSchema } from "./schema-validator.server";
+
+export const SSE_PROTOCOL_VERSION = '1.4';
+
+export const PROTOCOL_VERSION_HEADER = 'X-Chat-Protocol-Version';
+
+/**
+ * Builds the schema of one event type
+ * @param {Object} properties - Payload properties besides `type`
+ * @param {Array<string>} required - Required payload properties
+ * @returns {Object} JSON Schema
+ */
+const eventSchema = (properties = {}, required = []) => ({
+  type: 'object',
+  properties: { type: { type: 'string' }, ...properties },
+  required: ['type', ...required],
+  additionalProperties: false
+});
+
+// Normalized product model (see product.server.js); the rich fields were added in 1.2
+const productSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    handle: { type: 'string' },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    url: { type: 'string' },
+    price: { type: 'string' },
+    price_range: {
+      type: ['object', 'null'],
+      properties: { min: { type: 'string' }, max: { type: 'string' }, currency: { type: 'string' } }
+    },
+    compare_at_price: { type: ['string', 'null'] },
+    available: { type: 'boolean' },
+    image_url: { type: 'string' },
+    images: {
+      type: 'array',
+      items: { type: 'object', properties: { url: { type: 'string' }, alt: { type: 'string' } }, required: ['url'] }
+    },
+    options: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { name: { type: 'string' }, values: { type: 'array', items: { type: 'string' } } },
+        required: ['name', 'values']
+      }
+    },
+    variants: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          price: { type: 'string' },
+          compare_at_price: { type: ['string', 'null'] },
+          currency: { type: 'string' },
+          available: { type: 'boolean' },
+          image_url: { type: 'string' },
+          selected_options: { type: 'array', items: { type: 'object' } }
+        },
+        required: ['id', 'price', 'available']
+      }
+    }
+  },
+  required: ['id', 'title', 'price']
+};
+
+const moneySchema = {
+  type: ['object', 'null'],
+  properties: { amount: { type: 'string' }, currency: { type: 'string' } }
+};
+
+// Cart summary (see cart.server.js), since 1.3
+const cartSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    total_quantity: { type: 'integer', minimum: 0 },
+    subtotal: moneySchema,
+    total: moneySchema,
+    checkout_url: { type: 'string' },
+    lines: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          variant_id: { type: 'string' },
+          product_title: { type: 'string' },
+          variant_title: { type: 'string' },
+          quantity: { type: 'integer', minimum: 0 },
+          amount: { type: 'string' },
+          currency: { type: 'string' },
+          image_url: { type: 'string' }
+        },
+        required: ['id', 'product_title', 'quantity']
+      }
+    }
+  },
+  required: ['id', 'total_quantity', 'lines']
+};
+
+// Order status summary, since 1.3
+const orderSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    status: { type: 'string' },
+    financial_status: { type: 'string' },
+    fulfillment_status: { type: 'string' },
+    processed_at: { type: 'string' },
+    total: moneySchema,
+    tracking: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { number: { type: 'string' }, url: { type: 'string' }, company: { type: 'string' } }
+      }
+    }
+  },
+  required: ['id', 'name']
+};
+
+const errorPayload = {
+  error: { type: 'string' },
+  details: { type: 'string' }
+};
+
+export const SSE_EVENT_SCHEMAS = {
+  // First event of every turn; completes the version handshake
+  id: eventSchema({
+    conversation_id: { type: 'string' },
+    protocol_version: { type: 'string' }
+  }, ['conversation_id', 'protocol_version']),
+
+  // A piece of assistant text
+  chunk: eventSchema({ chunk: { type: 'string' } }, ['chunk']),
+
+  // A content block of the assistant message is complete
+  content_block_complete: eventSchema({ content_block: { type: 'object' } }, ['content_block']),
+
+  // The current assistant message is complete
+  message_complete: eventSchema(),
+
+  // Tool results were recorded; following text belongs to a new assistant message
+  new_message: eventSchema(),
+
+  // Extended thinking started or finished
+  thinking: eventSchema({ status: { enum: ['started', 'completed'] } }, ['status']),
+
+  // A tool call started ("started") or finished ("completed" or "failed", with its duration)
+  tool_use: eventSchema({
+    call_id: { type: 'string' },
+    tool_name: { type: 'string' },
+    arguments: { type: 'object' },
+    status: { enum: ['started', 'completed', 'failed'] },
+    duration_ms: { type: 'integer', minimum: 0 }
+  }, ['call_id', 'tool_name', 'arguments', 'status']),
+
+  // Outcome of a tool call with a redacted summary of its result (since 1.1)
+  tool_result: eventSchema({
+    call_id: { type: 'string' },
+    tool_name: { type: 'string' },
+    status: { enum: ['ok', 'error', 'auth_required'] },
+    duration_ms: { type: 'integer', minimum: 0 },
+    summary: { type: 'string' }
+  }, ['call_id', 'tool_name', 'status', 'duration_ms', 'summary']),
+
+  // A tool call waits for the customer to approve or decline it through
+  // POST /chat?confirm=true (since 1.4)
+  confirmation_required: eventSchema({
+    action_id: { type: 'string' },
+    call_id: { type: 'string' },
+    tool_name: { type: 'string' },
+    arguments: { type: 'object' },
+    summary: { type: 'string' },
+    expires_at: { type: 'string' }
+  }, ['action_id', 'call_id', 'tool_name', 'arguments', 'summary', 'expires_at']),
+
+  // The decision on a confirmation; approved calls continue with tool_use events (since 1.4)
+  confirmation_resolved: eventSchema({
+    action_id: { type: 'string' },
+    call_id: { type: 'string' },
+    status: { enum: ['approved', 'declined', 'expired'] }
+  }, ['action_id', 'call_id', 'status']),
+
+  // Progress reported by the MCP server for a running tool call
+  tool_progress: eventSchema({
+    call_id: { type: 'string' },
+    tool_name: { type: 'string' },
+    progress: { type: 'number' },
+    total: { type: 'number' },
+    message: { type: 'string' }
+  }, ['call_id', 'tool_name']),
+
+  // Products to show as cards
+  product_results: eventSchema({ products: { type: 'array', items: productSchema } }, ['products']),
+
+  // The cart changed (since 1.3)
+  cart_updated: eventSchema({ cart: cartSchema }, ['cart']),
+
+  // Status of one of the customer's orders (since 1.3)
+  order_status: eventSchema({ order: orderSchema }, ['order']),
+
+  // Store policy or FAQ excerpts answering the shopper's question (since 1.3)
+  policy_card: eventSchema({
+    excerpts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { title: { type: 'string' }, text: { type: 'string' }, url: { type: 'string' } },
+        required: ['text']
+      }
+    }
+  }, ['excerpts']),
+
+  // The shopper must sign in to their customer account; the link is in the assistant text
+  auth_required: eventSchema(),
+
+  // The turn was cut short by a tool round, token, time or length limit
+  turn_limit_reached: eventSchema({
+    reason: { enum: ['max_tokens', 'max_tool_rounds', 'token_budget', 'time_budget'] },
+    message: { type: 'string' }
+  }, ['reason', 'message']),
+
+  // The assistant has finished responding
+  end_turn: eventSchema(),
+
+  error: eventSchema(errorPayload, ['error']),
+
+  rate_limit_exceeded: eventSchema(errorPayload, ['error']),
+
+  // Last event of every stream; the turn is over and the server closes the connection
+  stream_end: eventSchema()
+};
+
+// Every event is checked before it is sent, so the schemas are compiled once
+const eventValidators = new Map(
+  Object.entries(SSE_EVENT_SCHEMAS).map(([type, schema]) => [type, compileSchema(schema)])
+);
+
+/**
+ * Validates an event against the protocol before it is sent
+ * @param {Object} event - The event payload
+ * @returns {Object} { valid, errors } where errors is a list of { path, message }
+ */
+export function validateSseEvent(event) {
+  const validator = eventValidators.get(event?.type);
+  if (!validator) {
+    return { valid: false, errors: [{ path: '/type', message: `unknown event type "${event?.type}"` }] };
+  }
+
+  return validator.validate(event);
+}
+
+/**
+ * Fits an event to the protocol: unknown properties are removed and scalar
+ * types converted, so one unexpected field does not cost the client the event
+ * @param {Object} event - The event payload
+ * @returns {Object} { event, valid, errors } where event is the event to send (or
+ *   null for an unknown type), valid tells whether it now matches its schema
+ *   and errors lists the violations of the original event
+ */
+export function coerceSseEvent(event) {
+  const validator = eventValidators.get(event?.type);
+  if (!validator) {
+    return { event: null, ...validateSseEvent(event) };
+  }
+
+  const { value, valid, errors } = validator.coerce(event);
+  return { event: value, valid, errors };
+}
+
+/**
+ * Checks whether a client's protocol version can be served. Clients that do
+ * not send a version are assumed to speak the current one.
+ * @param {string|null} version - Version requested by the client
+ * @returns {boolean} Whether the major versions match
+ */
+export function isSupportedProtocolVersion(version) {
+  if (!version) {
+    return true;
+  }
+
+  return String(version).split('.')[0] === SSE_PROTOCOL_VERSION.split('.')[0];
+}
+
+export default {
+  SSE_PROTOCOL_VERSION,
+  PROTOCOL_VERSION_HEADER,
+  SSE_EVENT_SCHEMAS,
+  validateSseEvent,
+  coerceSseEvent,
+  isSupportedProtocolVersion
+};
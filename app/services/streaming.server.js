@@ -2,25 +2,48 @@
  * Streaming Service
  * Provides utilities for handling server-sent events (SSE) streams
  */
+import { randomUUID } from "node:crypto";
+import AppConfig from "./config.server";
+import { coerceSseEvent } from "./sse-protocol.server";
 
 /**
- * Creates a StreamManager to handle SSE streams with proper backpressure
- * @param {TextEncoder} encoder - A TextEncoder instance
- * @param {ReadableStreamDefaultController} controller - The stream controller
+ * Event buffers of recent turns, keyed by turn ID. A turn keeps running while
+ * its client reconnects, and a reconnecting client replays the events it missed.
+ * Buffers live in memory, so a reconnect must reach the same instance.
+ */
+const turnStreams = new Map();
+
+/**
+ * Running turns keyed by conversation ID, so that requests which change a
+ * conversation's history can wait until its turn is over
+ */
+const activeTurns = new Map();
+
+/**
+ * Creates a StreamManager that records a turn's events in its buffer
+ * @param {Object} turn - The turn stream the events belong to
  * @returns {Object} StreamManager with utility methods for handling streaming
  */
-export function createStreamManager(encoder, controller) {
+export function createStreamManager(turn) {
   /**
    * Send a data message to the client
    * @param {Object} data - Data to send
    */
   const sendMessage = (data) => {
-    try {
-      const text = `data: ${JSON.stringify(data)}\n\n`;
-      controller.enqueue(encoder.encode(text));
-    } catch (error) {
-      console.error('Error sending stream message:', error);
+    // Nobody is listening once the turn has been stopped
+    if (turn.abortController.signal.aborted) return;
+
+    // Clients build on the published protocol, so events that break it are
+    // repaired where possible; only events of unknown types are dropped
+    const { event, valid, errors } = coerceSseEvent(data);
+    if (errors.length > 0) {
+      const violations = errors.map(({ path, message }) => `${path} ${message}`).join('; ');
+      const outcome = !event ? 'Dropping' : valid ? 'Repaired' : 'Sending non-conforming';
+      console.error(`${outcome} "${data?.type}" event that broke the protocol: ${violations}`);
     }
+    if (!event) return;
+
+    appendEvent(turn, event);
   };
 
   /**
@@ -38,11 +61,7 @@ export function createStreamManager(encoder, controller) {
    * Close the stream
    */
   const closeStream = () => {
-    try {
-      controller.close();
-    } catch (error) {
-      console.error('Error closing stream:', error);
-    }
+    completeTurn(turn);
   };
 
   /**
@@ -73,38 +92,305 @@ export function createStreamManager(encoder, controller) {
     }
   };
 
+  /**
+   * Stop the turn's time limit from running, e.g. while the customer decides
+   * on a tool call. Pauses nest, so parallel waits pause the limit only once.
+   */
+  const pauseDeadline = () => {
+    turn.deadline?.pause();
+  };
+
+  /**
+   * Let the turn's time limit run again after pauseDeadline
+   */
+  const resumeDeadline = () => {
+    turn.deadline?.resume();
+  };
+
   return {
     sendMessage,
     sendError,
     closeStream,
-    handleStreamingError
+    handleStreamingError,
+    pauseDeadline,
+    resumeDeadline,
+    signal: turn.abortController.signal
   };
 }
 
 /**
- * Creates a ReadableStream for SSE
+ * Starts a turn and returns an SSE stream of its events. The handler keeps
+ * running if the client disconnects; it is only aborted when the turn is
+ * stopped or no client reconnects within the grace period.
  * @param {Function} streamHandler - Async function that handles the stream
+ * @param {Object} [options] - Stream options
+ * @param {AbortSignal} [options.signal] - The request's abort signal
+ * @param {string} [options.conversationId] - The conversation the turn belongs to
  * @returns {ReadableStream} A readable stream for SSE
  */
-export function createSseStream(streamHandler) {
+export function createSseStream(streamHandler, { signal, conversationId } = {}) {
+  const turn = {
+    id: randomUUID(),
+    conversationId,
+    events: [],
+    subscribers: new Set(),
+    done: false,
+    abortController: new AbortController(),
+    graceTimer: null,
+    deadline: null
+  };
+  turnStreams.set(turn.id, turn);
+  if (conversationId) {
+    activeTurns.set(conversationId, turn);
+  }
+
+  const streamManager = createStreamManager(turn);
+
+  // End runaway turns cleanly instead of leaving the client waiting
+  turn.deadline = createDeadline(AppConfig.streaming.maxTurnDurationMs, () => {
+    console.warn(`Chat turn ${turn.id} exceeded ${AppConfig.streaming.maxTurnDurationMs}ms, stopping it`);
+    streamManager.sendMessage({
+      type: 'turn_limit_reached',
+      reason: 'time_budget',
+      message: AppConfig.errorMessages.turnLimitReached
+    });
+    turn.abortController.abort();
+  });
+
+  (async () => {
+    try {
+      await streamHandler(streamManager);
+    } catch (error) {
+      if (streamManager.signal.aborted) {
+        console.log(`Chat turn ${turn.id} cancelled`);
+      } else {
+        streamManager.handleStreamingError(error);
+      }
+    } finally {
+      turn.deadline.clear();
+      streamManager.closeStream();
+    }
+  })();
+
+  return createSubscriberStream(turn, 0, signal);
+}
+
+/**
+ * Resumes a turn's SSE stream after the event a client last received
+ * @param {string} lastEventId - Value of the Last-Event-ID header
+ * @param {Object} [options] - Stream options
+ * @param {AbortSignal} [options.signal] - The request's abort signal
+ * @returns {ReadableStream|null} The stream, or null if the turn is unknown or expired
+ */
+export function resumeSseStream(lastEventId, { signal } = {}) {
+  const [turnId, seq] = String(lastEventId).split(':');
+  const turn = turnStreams.get(turnId);
+  const afterSeq = Number.parseInt(seq, 10);
+
+  if (!turn || !Number.isInteger(afterSeq) || afterSeq < 0) {
+    return null;
+  }
+
+  console.log(`Resuming chat turn ${turnId} after event ${afterSeq}`);
+  return createSubscriberStream(turn, afterSeq, signal);
+}
+
+/**
+ * Stops a running turn, e.g. when the shopper presses stop
+ * @param {string} turnId - The turn ID
+ * @returns {boolean} Whether a running turn was stopped
+ */
+export function stopSseStream(turnId) {
+  const turn = turnStreams.get(turnId);
+  if (!turn || turn.done) {
+    return false;
+  }
+
+  turn.abortController.abort();
+  return true;
+}
+
+/**
+ * Creates a timer that can be paused. Pauses are counted, and the time left
+ * only runs while no pause is active.
+ * @param {number} durationMs - Time until the deadline
+ * @param {Function} onExpire - Called when the deadline passes
+ * @returns {Object} Deadline with pause, resume and clear methods
+ */
+function createDeadline(durationMs, onExpire) {
+  let remainingMs = durationMs;
+  let startedAt = Date.now();
+  let pauses = 0;
+  let cleared = false;
+  let timer = setTimeout(onExpire, remainingMs);
+
+  return {
+    pause() {
+      if (cleared || pauses++ > 0) return;
+      clearTimeout(timer);
+      remainingMs -= Date.now() - startedAt;
+    },
+    resume() {
+      if (cleared || pauses === 0 || --pauses > 0) return;
+      startedAt = Date.now();
+      timer = setTimeout(onExpire, Math.max(remainingMs, 0));
+    },
+    clear() {
+      cleared = true;
+      clearTimeout(timer);
+    }
+  };
+}
+
+/**
+ * Checks whether a conversation has a turn that is still running
+ * @param {string} conversationId - The conversation ID
+ * @returns {boolean} Whether a turn is running
+ */
+export function hasActiveTurn(conversationId) {
+  const turn = activeTurns.get(conversationId);
+  return Boolean(turn && !turn.done);
+}
+
+/**
+ * Records an event and delivers it to the connected clients
+ * @param {Object} turn - The turn stream
+ * @param {Object} data - Event data
+ */
+function appendEvent(turn, data) {
+  if (turn.done) return;
+
+  const event = { seq: turn.events.length + 1, data };
+  turn.events.push(event);
+
+  for (const subscriber of turn.subscribers) {
+    subscriber.send(event);
+  }
+}
+
+/**
+ * Ends a turn: sends the terminal event, closes the clients' streams and
+ * keeps the buffer around for late reconnects
+ * @param {Object} turn - The turn stream
+ */
+function completeTurn(turn) {
+  if (turn.done) return;
+
+  // Tells the client the turn is over rather than the connection being cut
+  appendEvent(turn, { type: 'stream_end' });
+  turn.done = true;
+
+  if (activeTurns.get(turn.conversationId) === turn) {
+    activeTurns.delete(turn.conversationId);
+  }
+
+  clearTimeout(turn.graceTimer);
+  for (const subscriber of turn.subscribers) {
+    subscriber.close();
+  }
+  turn.subscribers.clear();
+
+  const expiry = setTimeout(() => turnStreams.delete(turn.id), AppConfig.streaming.replayWindowMs);
+  expiry.unref?.();
+}
+
+/**
+ * Creates an SSE stream that replays a turn's events after `afterSeq` and then
+ * follows it live
+ * @param {Object} turn - The turn stream
+ * @param {number} afterSeq - Sequence number of the last event the client has
+ * @param {AbortSignal} [signal] - The request's abort signal
+ * @returns {ReadableStream} A readable stream for SSE
+ */
+function createSubscriberStream(turn, afterSeq, signal) {
   const encoder = new TextEncoder();
-  
+  const { heartbeatIntervalMs, initialPaddingBytes } = AppConfig.streaming;
+  let subscriber;
+  let heartbeat;
+
   return new ReadableStream({
-    async start(controller) {
-      const streamManager = createStreamManager(encoder, controller);
-      
-      try {
-        await streamHandler(streamManager);
-      } catch (error) {
-        streamManager.handleStreamingError(error);
-      } finally {
-        streamManager.closeStream();
+    start(controller) {
+      const write = (text) => {
+        try {
+          controller.enqueue(encoder.encode(text));
+        } catch (error) {
+          console.error('Error sending stream message:', error);
+        }
+      };
+
+      subscriber = {
+        send: ({ seq, data }) => {
+          write(`id: ${turn.id}:${seq}\nevent: ${data.type}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        close: () => {
+          clearInterval(heartbeat);
+          try {
+            controller.close();
+          } catch (error) {
+            console.error('Error closing stream:', error);
+          }
+        }
+      };
+
+      write(`:${' '.repeat(initialPaddingBytes)}\n\n`);
+
+      for (const event of turn.events.slice(afterSeq)) {
+        subscriber.send(event);
       }
+
+      if (turn.done) {
+        subscriber.close();
+        return;
+      }
+
+      heartbeat = setInterval(() => write(': heartbeat\n\n'), heartbeatIntervalMs);
+
+      attachSubscriber(turn, subscriber);
+      signal?.addEventListener('abort', () => {
+        clearInterval(heartbeat);
+        detachSubscriber(turn, subscriber);
+      }, { once: true });
+    },
+
+    cancel() {
+      clearInterval(heartbeat);
+      detachSubscriber(turn, subscriber);
     }
   });
 }
 
+/**
+ * Adds a connected client to a turn
+ * @param {Object} turn - The turn stream
+ * @param {Object} subscriber - The client's stream
+ */
+function attachSubscriber(turn, subscriber) {
+  clearTimeout(turn.graceTimer);
+  turn.graceTimer = null;
+  turn.subscribers.add(subscriber);
+}
+
+/**
+ * Removes a disconnected client. Once no client is left, the turn is stopped
+ * unless one reconnects within the grace period.
+ * @param {Object} turn - The turn stream
+ * @param {Object} subscriber - The client's stream
+ */
+function detachSubscriber(turn, subscriber) {
+  if (!turn.subscribers.delete(subscriber) || turn.done || turn.subscribers.size > 0) {
+    return;
+  }
+
+  turn.graceTimer = setTimeout(() => {
+    console.log(`No client reconnected to chat turn ${turn.id}, stopping it`);
+    turn.abortController.abort();
+  }, AppConfig.streaming.reconnectGraceMs);
+}
+
 export default {
   createSseStream,
-  createStreamManager
+  createStreamManager,
+  resumeSseStream,
+  stopSseStream,
+  hasActiveTurn
 };
\ No newline at end of file
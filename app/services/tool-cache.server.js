@@ -0,0 +1,80 @@
+/**
+ * Tool Cache Service
+ * Caches MCP tools/list results per shop and endpoint so chat turns don't
+ * re-fetch the tool catalog on every message.
+ *
+ * The cache lives in process memory: it survives across requests, but each
+ * server instance keeps its own copy.
+ */
+import AppConfig from "./config.server";
+
+const cache = new Map();
+
+/**
+ * Builds the cache key for a shop's endpoint
+ * @param {string} shop - The shop's myshopify.com domain
+ * @param {string} endpoint - The MCP endpoint URL
+ * @returns {string} The cache key
+ */
+const cacheKey = (shop, endpoint) => `${shop}::${endpoint}`;
+
+/**
+ * Gets the cached tools for a shop's endpoint
+ * @param {string} shop - The shop's myshopify.com domain
+ * @param {string} endpoint - The MCP endpoint URL
+ * @returns {Array|null} The cached tools, or null if missing or expired
+ */
+export function getCachedTools(shop, endpoint) {
+  const key = cacheKey(shop, endpoint);
+  const entry = cache.get(key);
+
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(key);
+    return null;
+  }
+
+  return entry.tools;
+}
+
+/**
+ * Stores the tools for a shop's endpoint
+ * @param {string} shop - The shop's myshopify.com domain
+ * @param {string} endpoint - The MCP endpoint URL
+ * @param {Array} tools - The formatted tools returned by tools/list
+ * @param {number} ttlMs - How long the entry stays valid
+ */
+export function setCachedTools(shop, endpoint, tools, ttlMs = AppConfig.mcp.toolCacheTtlMs) {
+  cache.set(cacheKey(shop, endpoint), {
+    tools,
+    expiresAt: Date.now() + ttlMs
+  });
+}
+
+/**
+ * Invalidates cached tools for a shop
+ * @param {string} shop - The shop's myshopify.com domain
+ * @param {string} [endpoint] - Only invalidate this endpoint; all of the shop's endpoints if omitted
+ * @returns {number} The number of entries removed
+ */
+export function invalidateCachedTools(shop, endpoint) {
+  if (endpoint) {
+    return cache.delete(cacheKey(shop, endpoint)) ? 1 : 0;
+  }
+
+  let removed = 0;
+  for (const key of cache.keys()) {
+    if (key.startsWith(`${shop}::`)) {
+      cache.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+export default {
+  getCachedTools,
+  setCachedTools,
+  invalidateCachedTools
+};
@@ -0,0 +1,91 @@
+/**
+ * Tool Dispatch Service
+ * Runs the tool_use blocks of a model response through the stream handlers.
+ * Shared by every LLM provider so tool handling is identical across backends.
+ */
+import AppConfig from "./config.server";
+
+/**
+ * Runs tool use requests concurrently and hands all results over at once.
+ * Results keep the tool_use order, and a handler that throws still produces
+ * a tool_result so every tool_use is answered.
+ * @param {Object} finalMessage - Assistant message in Anthropic format
+ * @param {Object} streamHandlers - Stream event handlers
+ * @param {Function} streamHandlers.onToolUse - Handles a tool use request and resolves to its tool_result block
+ * @param {Function} streamHandlers.onToolResults - Receives all tool_result blocks of the turn at once
+ * @returns {Promise<void>}
+ */
+export async function dispatchToolUses(finalMessage, streamHandlers) {
+  const toolUses = (finalMessage.content || []).filter((content) => content.type === "tool_use");
+
+  if (!streamHandlers.onToolUse || toolUses.length === 0) {
+    return;
+  }
+
+  // A response cut off at max_tokens can end in a tool_use block with partial
+  // arguments. It is answered without being run.
+  const content = finalMessage.content || [];
+  const truncatedToolUse = finalMessage.stop_reason === "max_tokens" ? content[content.length - 1] : null;
+
+  const toolResults = await mapWithConcurrency(
+    toolUses,
+    AppConfig.tools.maxConcurrentToolCalls,
+    async (toolUse) => {
+      if (toolUse === truncatedToolUse) {
+        console.warn(`Dropping tool use ${toolUse.name} cut off at max_tokens`);
+        return {
+          type: "tool_result",
+          tool_use_id: toolUse.id,
+          content: `The call to ${toolUse.name} was cut off before its arguments were complete, so it was not run.`,
+          is_error: true
+        };
+      }
+
+      try {
+        return await streamHandlers.onToolUse(toolUse);
+      } catch (error) {
+        // Every tool_use needs a tool_result, so report failures to the model
+        console.error(`Error handling tool use ${toolUse.name}:`, error);
+        return {
+          type: "tool_result",
+          tool_use_id: toolUse.id,
+          content: `Error calling tool ${toolUse.name}: ${error.message}`,
+          is_error: true
+        };
+      }
+    }
+  );
+
+  if (streamHandlers.onToolResults) {
+    await streamHandlers.onToolResults(toolResults.filter(Boolean));
+  }
+}
+
+/**
+ * Maps items through an async function with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function applied to each item
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+export default {
+  dispatchToolUses,
+  mapWithConcurrency
+};
@@ -0,0 +1,226 @@
+/**
+ * Tool Result Handlers
+ * Registry of handlers that post-process successful tool results; results the
+ * tool marked as errors never reach them. A handler is registered for a tool
+ * name or a pattern and can emit typed SSE events for the widget, change the
+ * content the model sees, and change what is saved to the database. Built-in
+ * handlers cover the catalog, cart, order and policy tools of the Shopify MCP
+ * servers.
+ */
+import { storeConversationCartId } from "../db.server";
+import AppConfig from "./config.server";
+import { extractProducts, mergeProducts } from "./product.server";
+import { extractCart, isCartTool } from "./cart.server";
+import { redactText, redactValue } from "./redaction.server";
+
+/**
+ * @callback ToolResultHandler
+ * @param {Object} toolUseResponse - The successful response from the tool
+ * @param {Object} context - Call context
+ * @param {string} context.toolName - The tool name as exposed to the model
+ * @param {string} context.toolUseId - The ID of the tool use request
+ * @param {string} context.conversationId - The conversation ID
+ * @param {Function} context.sendMessage - Sends an SSE event to the client
+ * @param {Array} context.productsToDisplay - Products to show at the end of the turn
+ * @returns {Object|void} Optional { content, persistedContent }: content replaces
+ *   what the model sees, persistedContent what is saved to the database
+ */
+
+/**
+ * Registered handlers, most recently registered first so that custom handlers
+ * take precedence over the built-in ones
+ */
+const toolResultHandlers = [];
+
+/**
+ * Registers a handler for the results of a tool
+ * @param {string|RegExp|Function} match - Tool name, a pattern matched against
+ *   tool names, or a predicate that receives the tool name
+ * @param {ToolResultHandler} handler - The handler
+ */
+export function registerToolResultHandler(match, handler) {
+  toolResultHandlers.unshift({ match, handler });
+}
+
+/**
+ * Finds the handler for a tool
+ * @param {string} toolName - The tool name as exposed to the model
+ * @returns {ToolResultHandler|null} The handler, if one is registered
+ */
+export function getToolResultHandler(toolName) {
+  const entry = toolResultHandlers.find(({ match }) => {
+    if (match instanceof RegExp) return match.test(toolName);
+    if (typeof match === 'function') return match(toolName);
+    return match === toolName;
+  });
+  return entry ? entry.handler : null;
+}
+
+/**
+ * Catalog tools: collect their products for the product cards
+ */
+function handleCatalogResult(toolUseResponse, { toolName, productsToDisplay }) {
+  const products = extractProducts(toolUseResponse);
+  console.log(`Found ${products.length} products in ${toolName} result`);
+  mergeProducts(productsToDisplay, products);
+}
+
+/**
+ * Cart tools: remember the conversation's cart and show the shopper its contents
+ */
+async function handleCartResult(toolUseResponse, { conversationId, sendMessage }) {
+  const cart = extractCart(toolUseResponse);
+  if (!cart) return;
+
+  if (cart.id && conversationId) {
+    try {
+      await storeConversationCartId(conversationId, cart.id);
+    } catch (error) {
+      console.error('Error remembering the conversation cart:', error);
+    }
+  }
+
+  sendMessage({ type: 'cart_updated', cart });
+}
+
+/**
+ * Order tools: show an order status card. Orders carry the customer's contact
+ * details and addresses, so only a redacted copy is saved.
+ */
+function handleOrderResult(toolUseResponse, { sendMessage }) {
+  const order = extractOrder(readJsonContent(toolUseResponse));
+  if (order) {
+    sendMessage({ type: 'order_status', order });
+  }
+
+  return { persistedContent: redactContent(toolUseResponse.content) };
+}
+
+/**
+ * Policy and FAQ tools: show the matching policy excerpts as a card
+ */
+function handlePolicyResult(toolUseResponse, { sendMessage }) {
+  const excerpts = extractPolicyExcerpts(toolUseResponse);
+  if (excerpts.length > 0) {
+    sendMessage({ type: 'policy_card', excerpts });
+  }
+}
+
+AppConfig.tools.productToolNames.forEach((toolName) => {
+  registerToolResultHandler(toolName, handleCatalogResult);
+});
+registerToolResultHandler(isCartTool, handleCartResult);
+registerToolResultHandler(/order_status$/, handleOrderResult);
+registerToolResultHandler(/policies_and_faqs$/, handlePolicyResult);
+
+/**
+ * Reads the order from an order status payload
+ * @param {Object|null} payload - Parsed tool result
+ * @returns {Object|null} Order summary, or null if the payload holds none
+ */
+function extractOrder(payload) {
+  const order = payload?.order || (Array.isArray(payload?.orders) ? payload.orders[0] : null) || payload;
+  if (!order || typeof order !== 'object' || !(order.id || order.name)) {
+    return null;
+  }
+
+  const total = order.total_price ?? order.totalPrice ?? order.current_total_price ?? order.total;
+  const fulfillments = order.fulfillments?.nodes || order.fulfillments || [];
+
+  return {
+    id: String(order.id || ''),
+    name: String(order.name || ''),
+    status: order.status || order.display_status || '',
+    financial_status: order.financial_status || order.displayFinancialStatus || '',
+    fulfillment_status: order.fulfillment_status || order.displayFulfillmentStatus || '',
+    processed_at: order.processed_at || order.processedAt || order.created_at || '',
+    total: total && typeof total === 'object'
+      ? { amount: String(total.amount ?? ''), currency: total.currency || total.currencyCode || '' }
+      : (total != null ? { amount: String(total), currency: order.currency || '' } : null),
+    tracking: fulfillments.flatMap((fulfillment) =>
+      (fulfillment.tracking_info || fulfillment.trackingInformation || []).map((tracking) => ({
+        number: tracking.number || '',
+        url: tracking.url || '',
+        company: tracking.company || ''
+      }))
+    )
+  };
+}
+
+/**
+ * Reads the policy excerpts from a policy search result
+ * @param {Object} toolUseResponse - The response from the tool
+ * @returns {Array} Up to three excerpts as { title, text, url }
+ */
+function extractPolicyExcerpts(toolUseResponse) {
+  const payload = readJsonContent(toolUseResponse);
+  const maxChars = AppConfig.tools.maxResultSummaryChars;
+  let items;
+
+  if (payload) {
+    items = Array.isArray(payload)
+      ? payload
+      : payload.results || payload.policies || payload.faqs || [payload];
+  } else {
+    const text = toolUseResponse.content?.find((block) => block?.type === 'text')?.text;
+    items = text ? [{ text }] : [];
+  }
+
+  return items
+    .filter((item) => item && typeof item === 'object')
+    .map((item) => {
+      const text = String(item.answer || item.text || item.body || item.content || '');
+      return {
+        title: String(item.question || item.title || ''),
+        text: text.length > maxChars ? `${text.slice(0, maxChars)}…` : text,
+        url: String(item.url || '')
+      };
+    })
+    .filter((excerpt) => excerpt.text)
+    .slice(0, 3);
+}
+
+/**
+ * Parses the JSON payload of a tool response
+ * @param {Object} toolUseResponse - The response from the tool
+ * @returns {*} The structured content or parsed first text block, or null
+ */
+function readJsonContent(toolUseResponse) {
+  if (toolUseResponse?.structuredContent) {
+    return toolUseResponse.structuredContent;
+  }
+
+  const text = toolUseResponse?.content?.find((block) => block?.type === 'text')?.text;
+  try {
+    return typeof text === 'string' ? JSON.parse(text) : (text ?? null);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Redacts the text blocks of tool result content
+ * @param {Array} content - Tool result content blocks
+ * @returns {Array} Redacted content blocks
+ */
+function redactContent(content) {
+  return (content || []).map((block) => {
+    if (block?.type !== 'text' || typeof block.text !== 'string') {
+      return block;
+    }
+
+    let text = block.text;
+    try {
+      text = JSON.stringify(redactValue(JSON.parse(text)));
+    } catch (e) {
+      // Not JSON; only the text patterns apply
+    }
+
+    return { ...block, text: redactText(text) };
+  });
+}
+
+export default {
+  registerToolResultHandler,
+  getToolResultHandler
+};
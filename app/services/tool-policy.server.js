@@ -0,0 +1,86 @@
+/**
+ * Tool Policy Service
+ * Applies a shop's tool policies: which tools the model may see and call,
+ * which need customer confirmation, and description overrides.
+ */
+
+export const TOOL_ACCESS = {
+  DEFAULT: 'default',
+  ALLOW: 'allow',
+  DENY: 'deny'
+};
+
+/**
+ * Creates a tool policy from a shop's policy records
+ *
+ * Denied tools are always hidden. If any tool is explicitly allowed, the shop
+ * is in allowlist mode and every tool that is not allowed is hidden too.
+ *
+ * @param {Array} policies - ToolPolicy records for the shop
+ * @returns {Object} Tool policy with methods for filtering and checking tools
+ */
+export function createToolPolicy(policies = []) {
+  const policiesByTool = new Map(policies.map((policy) => [policy.toolName, policy]));
+  const allowlistMode = policies.some((policy) => policy.access === TOOL_ACCESS.ALLOW);
+
+  /**
+   * Checks whether a tool may be offered to and called by the model
+   * @param {string} toolName - Tool name as exposed to the model
+   * @returns {boolean} Whether the tool is allowed
+   */
+  const isAllowed = (toolName) => {
+    const access = policiesByTool.get(toolName)?.access || TOOL_ACCESS.DEFAULT;
+
+    if (access === TOOL_ACCESS.DENY) return false;
+    if (allowlistMode) return access === TOOL_ACCESS.ALLOW;
+    return true;
+  };
+
+  /**
+   * Checks whether calls to a tool need the customer's confirmation
+   * @param {string} toolName - Tool name as exposed to the model
+   * @returns {boolean} Whether confirmation is required
+   */
+  const requiresConfirmation = (toolName) => {
+    return Boolean(policiesByTool.get(toolName)?.requiresConfirmation);
+  };
+
+  /**
+   * Applies description overrides and confirmation guidance to a tool definition
+   * @param {Object} tool - Tool definition ({ name, description, input_schema })
+   * @returns {Object} The tool definition to send to the model
+   */
+  const applyToTool = (tool) => {
+    const policy = policiesByTool.get(tool.name);
+    if (!policy) return tool;
+
+    let description = policy.descriptionOverride || tool.description;
+    if (policy.requiresConfirmation) {
+      description = `${description}\n\nThe customer is asked to approve each call to this tool before it runs. ` +
+        'If they decline, do not call it again unless they ask.';
+    }
+
+    return { ...tool, description };
+  };
+
+  /**
+   * Filters a tool list down to the allowed tools, applying overrides
+   * @param {Array} tools - Tool definitions
+   * @returns {Array} Allowed tool definitions
+   */
+  const filterTools = (tools) => {
+    return tools.filter((tool) => isAllowed(tool.name)).map(applyToTool);
+  };
+
+  return {
+    isAllowed,
+    requiresConfirmation,
+    applyToTool,
+    filterTools
+  };
+}
+
+export default {
+  createToolPolicy,
+  TOOL_ACCESS
+};
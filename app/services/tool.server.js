@@ -2,129 +2,155 @@
  * Tool Service
  * Manages tool execution and processing
  */
-import { saveMessage } from "../db.server";
+import { saveMessage, getConversationCartId } from "../db.server";
 import AppConfig from "./config.server";
+import { getToolResultHandler } from "./tool-handlers.server";
+import { isCartTool, withCartId } from "./cart.server";
+import { redactText, redactValue } from "./redaction.server";
 
 /**
  * Creates a tool service instance
+ * @param {string} [conversationId] - The conversation the tool calls belong to
  * @returns {Object} Tool service with methods for managing tools
  */
-export function createToolService() {
+export function createToolService(conversationId) {
+  // Content to save instead of the model's copy, keyed by tool use ID
+  const persistedContent = new Map();
+
+  /**
+   * Fills in arguments the server tracks for the conversation, such as the
+   * cart ID of cart tools
+   * @param {string} toolName - The name of the tool
+   * @param {Object} toolArgs - Arguments produced by the model
+   * @param {Object} [inputSchema] - The tool's input schema
+   * @returns {Promise<Object>} Arguments to call the tool with
+   */
+  const prepareToolArguments = async (toolName, toolArgs, inputSchema) => {
+    if (!conversationId || !isCartTool(toolName)) {
+      return toolArgs;
+    }
+
+    return withCartId(toolArgs, await getConversationCartId(conversationId), inputSchema);
+  };
+
   /**
    * Handles a tool error response
    * @param {Object} toolUseResponse - The error response from the tool
    * @param {string} toolName - The name of the tool
    * @param {string} toolUseId - The ID of the tool use request
-   * @param {Array} conversationHistory - The conversation history
    * @param {Function} sendMessage - Function to send messages to the client
-   * @param {string} conversationId - The conversation ID
+   * @returns {Promise<Object>} The tool_result block for the model
    */
-  const handleToolError = async (toolUseResponse, toolName, toolUseId, conversationHistory, sendMessage, conversationId) => {
+  const handleToolError = async (toolUseResponse, toolName, toolUseId, sendMessage) => {
     if (toolUseResponse.error.type === "auth_required") {
       console.log("Auth required for tool:", toolName);
-      await addToolResultToHistory(conversationHistory, toolUseId, toolUseResponse.error.data, conversationId);
       sendMessage({ type: 'auth_required' });
-    } else {
-      console.log("Tool use error", toolUseResponse.error);
-      await addToolResultToHistory(conversationHistory, toolUseId, toolUseResponse.error.data, conversationId);
+      return createToolResult(toolUseId, toolUseResponse.error.data);
     }
+
+    console.log("Tool use error", toolUseResponse.error);
+    return createToolResult(toolUseId, toolUseResponse.error.data, true);
   };
 
   /**
-   * Handles a successful tool response
+   * Handles a tool response, passing it through the tool's registered result
+   * handler if it has one. Results the tool marked as errors skip the handler
+   * and go to the model unchanged.
    * @param {Object} toolUseResponse - The response from the tool
    * @param {string} toolName - The name of the tool
    * @param {string} toolUseId - The ID of the tool use request
-   * @param {Array} conversationHistory - The conversation history
    * @param {Array} productsToDisplay - Array to add product results to
-   * @param {string} conversationId - The conversation ID
+   * @param {Function} sendMessage - Function to send messages to the client
+   * @returns {Promise<Object>} The tool_result block for the model
    */
-  const handleToolSuccess = async (toolUseResponse, toolName, toolUseId, conversationHistory, productsToDisplay, conversationId) => {
-    // Check if this is a product search result
-    if (toolName === AppConfig.tools.productSearchName) {
-      productsToDisplay.push(...processProductSearchResult(toolUseResponse));
+  const handleToolSuccess = async (toolUseResponse, toolName, toolUseId, productsToDisplay, sendMessage) => {
+    let content = toolUseResponse.content;
+
+    if (toolUseResponse.isError) {
+      console.log(`Tool ${toolName} reported an error`);
+      return createToolResult(toolUseId, content, true);
     }
 
-    addToolResultToHistory(conversationHistory, toolUseId, toolUseResponse.content, conversationId);
+    const handler = getToolResultHandler(toolName);
+    if (handler) {
+      try {
+        const result = await handler(toolUseResponse, {
+          toolName,
+          toolUseId,
+          conversationId,
+          sendMessage,
+          productsToDisplay
+        });
+        if (result?.content !== undefined) {
+          content = result.content;
+        }
+        if (result?.persistedContent !== undefined) {
+          persistedContent.set(toolUseId, result.persistedContent);
+        }
+      } catch (error) {
+        // The model still gets the raw result
+        console.error(`Error in result handler for tool ${toolName}:`, error);
+      }
+    }
+
+    return createToolResult(toolUseId, content);
   };
 
   /**
-   * Processes product search results
-   * @param {Object} toolUseResponse - The response from the tool
-   * @returns {Array} Processed product data
+   * Summarizes a tool result for the client, with personal data and secrets
+   * removed and the text shortened. The model still gets the full result.
+   * @param {string|Array|Object} content - Tool result content or error data
+   * @returns {string} Redacted summary
    */
-  const processProductSearchResult = (toolUseResponse) => {
-    try {
-      console.log("Processing product search result");
-      let products = [];
-
-      if (toolUseResponse.content && toolUseResponse.content.length > 0) {
-        const content = toolUseResponse.content[0].text;
-
-        try {
-          let responseData;
-          if (typeof content === 'object') {
-            responseData = content;
-          } else if (typeof content === 'string') {
-            responseData = JSON.parse(content);
-          }
-
-          if (responseData?.products && Array.isArray(responseData.products)) {
-            products = responseData.products
-              .slice(0, AppConfig.tools.maxProductsToDisplay)
-              .map(formatProductData);
-
-            console.log(`Found ${products.length} products to display`);
-          }
-        } catch (e) {
-          console.error("Error parsing product data:", e);
-        }
-      }
+  const summarizeToolResult = (content) => {
+    let text;
+    if (typeof content === 'string') {
+      text = content;
+    } else if (Array.isArray(content)) {
+      text = content
+        .map((block) => (block?.type === 'text' ? block.text : `[${block?.type} content]`))
+        .join('\n');
+    } else {
+      text = JSON.stringify(content ?? '');
+    }
 
-      return products;
-    } catch (error) {
-      console.error("Error processing product search results:", error);
-      return [];
+    try {
+      text = JSON.stringify(redactValue(JSON.parse(text)));
+    } catch (e) {
+      // Not JSON; only the text patterns below apply
     }
+
+    const summary = redactText(text);
+    const maxChars = AppConfig.tools.maxResultSummaryChars;
+
+    return summary.length > maxChars ? `${summary.slice(0, maxChars)}…` : summary;
   };
 
   /**
-   * Formats a product data object
-   * @param {Object} product - Raw product data
-   * @returns {Object} Formatted product data
+   * Creates a tool_result content block
+   * @param {string} toolUseId - The ID of the tool use request
+   * @param {string|Array} content - The content of the tool result
+   * @param {boolean} isError - Whether the tool call failed
+   * @returns {Object} The tool_result block
    */
-  const formatProductData = (product) => {
-    const price = product.price_range
-      ? `${product.price_range.currency} ${product.price_range.min}`
-      : (product.variants && product.variants.length > 0
-        ? `${product.variants[0].currency} ${product.variants[0].price}`
-        : 'Price not available');
-
-    return {
-      id: product.product_id || `product-${Math.random().toString(36).substring(7)}`,
-      title: product.title || 'Product',
-      price: price,
-      image_url: product.image_url || '',
-      description: product.description || '',
-      url: product.url || ''
-    };
-  };
+  const createToolResult = (toolUseId, content, isError = false) => ({
+    type: "tool_result",
+    tool_use_id: toolUseId,
+    content: content,
+    ...(isError ? { is_error: true } : {})
+  });
 
   /**
-   * Adds a tool result to the conversation history
+   * Adds the results of an assistant turn's tool calls to the conversation
+   * history as a single user message, as the Messages API expects
    * @param {Array} conversationHistory - The conversation history
-   * @param {string} toolUseId - The ID of the tool use request
-   * @param {string} content - The content of the tool result
+   * @param {Array} toolResults - tool_result blocks, in tool_use order
    * @param {string} conversationId - The conversation ID
    */
-  const addToolResultToHistory = async (conversationHistory, toolUseId, content, conversationId) => {
+  const addToolResultsToHistory = async (conversationHistory, toolResults, conversationId) => {
     const toolResultMessage = {
       role: 'user',
-      content: [{
-        type: "tool_result",
-        tool_use_id: toolUseId,
-        content: content
-      }]
+      content: toolResults
     };
 
     // Add to in-memory history
@@ -132,8 +158,14 @@ export function createToolService() {
 
     // Save to database with special format to indicate tool result
     if (conversationId) {
+      const storedContent = toolResults.map((toolResult) =>
+        persistedContent.has(toolResult.tool_use_id)
+          ? { ...toolResult, content: persistedContent.get(toolResult.tool_use_id) }
+          : toolResult
+      );
+
       try {
-        await saveMessage(conversationId, 'user', JSON.stringify(toolResultMessage.content));
+        await saveMessage(conversationId, 'user', JSON.stringify(storedContent));
       } catch (error) {
         console.error('Error saving tool result to database:', error);
       }
@@ -141,10 +173,12 @@ export function createToolService() {
   };
 
   return {
+    prepareToolArguments,
     handleToolError,
     handleToolSuccess,
-    processProductSearchResult,
-    addToolResultToHistory
+    createToolResult,
+    summarizeToolResult,
+    addToolResultsToHistory
   };
 }
 
@@ -33,7 +33,10 @@
           closeButton: container.querySelector('.shop-ai-chat-close'),
           chatInput: container.querySelector('.shop-ai-chat-input input'),
           sendButton: container.querySelector('.shop-ai-chat-send'),
-          messagesContainer: container.querySelector('.shop-ai-chat-messages')
+          stopButton: container.querySelector('.shop-ai-chat-stop'),
+          messagesContainer: container.querySelector('.shop-ai-chat-messages'),
+          cartButton: container.querySelector('.shop-ai-chat-cart'),
+          cartDrawer: container.querySelector('.shop-ai-cart-drawer')
         };
 
         // Detect mobile device
@@ -52,7 +55,7 @@
        * Set up all event listeners for UI interactions
        */
       setupEventListeners: function() {
-        const { chatBubble, closeButton, chatInput, sendButton, messagesContainer } = this.elements;
+        const { chatBubble, closeButton, chatInput, sendButton, stopButton, messagesContainer, cartButton, cartDrawer } = this.elements;
 
         // Toggle chat window visibility
         chatBubble.addEventListener('click', () => this.toggleChatWindow());
@@ -85,6 +88,18 @@
           }
         });
 
+        // Stop the response that is currently streaming
+        if (stopButton) {
+          stopButton.addEventListener('click', () => ShopAIChat.API.stopResponse());
+        }
+
+        // Open and close the mini-cart
+        if (cartButton && cartDrawer) {
+          cartButton.addEventListener('click', () => ShopAIChat.Cart.toggle());
+          cartDrawer.querySelector('.shop-ai-cart-drawer-close')
+            .addEventListener('click', () => ShopAIChat.Cart.close());
+        }
+
         // Handle window resize to adjust scrolling
         window.addEventListener('resize', () => this.scrollToBottom());
 
@@ -159,6 +174,19 @@
         }, 100);
       },
 
+      /**
+       * Swap the send button for the stop button while a response is streaming
+       * @param {boolean} isStreaming - Whether a response is streaming
+       */
+      setStreaming: function(isStreaming) {
+        const { sendButton, stopButton } = this.elements;
+        this.isStreaming = isStreaming;
+        if (!stopButton) return;
+
+        sendButton.hidden = isStreaming;
+        stopButton.hidden = !isStreaming;
+      },
+
       /**
        * Show typing indicator in the chat
        */
@@ -172,6 +200,21 @@
         this.scrollToBottom();
       },
 
+      /**
+       * Show a reasoning indicator while the assistant uses extended thinking
+       */
+      showThinkingIndicator: function() {
+        const { messagesContainer } = this.elements;
+
+        this.removeTypingIndicator();
+
+        const thinkingIndicator = document.createElement('div');
+        thinkingIndicator.classList.add('shop-ai-typing-indicator', 'shop-ai-thinking-indicator');
+        thinkingIndicator.innerHTML = '<span></span><span></span><span></span><em>Reasoning…</em>';
+        messagesContainer.appendChild(thinkingIndicator);
+        this.scrollToBottom();
+      },
+
       /**
        * Remove typing indicator from the chat
        */
@@ -219,6 +262,15 @@
           });
         }
 
+        this.scrollToBottom();
+      },
+
+      /**
+       * Display an information card (order, policy) in the chat
+       * @param {HTMLElement} card - The card element
+       */
+      displayCard: function(card) {
+        this.elements.messagesContainer.appendChild(card);
         this.scrollToBottom();
       }
     },
@@ -257,7 +309,8 @@
       /**
        * Add a message to the chat
        * @param {string} text - Message content
-       * @param {string} sender - Message sender ('user' or 'assistant')
+       * @param {string} sender - Message sender ('user' or 'assistant'), or 'event'
+       *   for things that happened outside the chat, such as a cart change
        * @param {HTMLElement} messagesContainer - The messages container
        * @returns {HTMLElement} The created message element
        */
@@ -279,29 +332,23 @@
       },
 
       /**
-       * Add a tool use message to the chat with expandable arguments
-       * @param {string} toolMessage - Tool use message content
+       * Add a tool use message to the chat with expandable arguments, or
+       * update the status of one that is already shown
+       * @param {Object} data - tool_use event (call_id, tool_name, arguments, status, duration_ms)
        * @param {HTMLElement} messagesContainer - The messages container
        */
-      addToolUse: function(toolMessage, messagesContainer) {
-        // Parse the tool message to extract tool name and arguments
-        const match = toolMessage.match(/Calling tool: (\w+) with arguments: (.+)/);
-        if (!match) {
-          // Fallback for unexpected format
-          const toolUseElement = document.createElement('div');
-          toolUseElement.classList.add('shop-ai-message', 'tool-use');
-          toolUseElement.textContent = toolMessage;
-          messagesContainer.appendChild(toolUseElement);
-          ShopAIChat.UI.scrollToBottom();
+      addToolUse: function(data, messagesContainer) {
+        const existingElement = this.findToolUse(data.call_id, messagesContainer);
+        if (existingElement) {
+          this.updateToolStatus(existingElement, data);
           return;
         }
 
-        const toolName = match[1];
-        const argsString = match[2];
-
         // Create the main tool use element
         const toolUseElement = document.createElement('div');
         toolUseElement.classList.add('shop-ai-message', 'tool-use');
+        toolUseElement.dataset.callId = data.call_id;
+        toolUseElement.dataset.toolName = data.tool_name;
 
         // Create the header (always visible)
         const headerElement = document.createElement('div');
@@ -309,7 +356,7 @@
 
         const toolText = document.createElement('span');
         toolText.classList.add('shop-ai-tool-text');
-        toolText.textContent = `Calling tool: ${toolName}`;
+        toolText.textContent = `Calling tool: ${data.tool_name}`;
 
         const toggleElement = document.createElement('span');
         toggleElement.classList.add('shop-ai-tool-toggle');
@@ -321,15 +368,7 @@
         // Create the arguments section (initially hidden)
         const argsElement = document.createElement('div');
         argsElement.classList.add('shop-ai-tool-args');
-
-        try {
-          // Try to format JSON arguments nicely
-          const parsedArgs = JSON.parse(argsString);
-          argsElement.textContent = JSON.stringify(parsedArgs, null, 2);
-        } catch (e) {
-          // If not valid JSON, just show as-is
-          argsElement.textContent = argsString;
-        }
+        argsElement.textContent = JSON.stringify(data.arguments || {}, null, 2);
 
         // Add click handler to toggle arguments visibility
         headerElement.addEventListener('click', function() {
@@ -347,7 +386,94 @@
         toolUseElement.appendChild(headerElement);
         toolUseElement.appendChild(argsElement);
 
+        this.updateToolStatus(toolUseElement, data);
         messagesContainer.appendChild(toolUseElement);
+        ShopAIChat.UI.scrollToBottom();
+      },
+
+      /**
+       * Show whether a tool call is still running, finished or failed
+       * @param {HTMLElement} toolUseElement - The tool use message
+       * @param {Object} data - tool_use event
+       */
+      updateToolStatus: function(toolUseElement, data) {
+        const toolText = toolUseElement.querySelector('.shop-ai-tool-text');
+        const duration = data.duration_ms != null ? ` (${(data.duration_ms / 1000).toFixed(1)}s)` : '';
+
+        if (data.status === 'completed') {
+          toolText.textContent = `Called tool: ${data.tool_name}${duration}`;
+        } else if (data.status === 'failed') {
+          toolText.textContent = `Tool failed: ${data.tool_name}${duration}`;
+          toolUseElement.classList.add('failed');
+        }
+
+        // Progress only applies while the tool is running
+        if (data.status !== 'started') {
+          const progressElement = toolUseElement.querySelector('.shop-ai-tool-progress');
+          if (progressElement) progressElement.remove();
+        }
+      },
+
+      /**
+       * Show the outcome of a tool call next to its arguments
+       * @param {Object} data - tool_result event (call_id, status, duration_ms, summary)
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      addToolResult: function(data, messagesContainer) {
+        const toolUseElement = this.findToolUse(data.call_id, messagesContainer);
+        if (!toolUseElement) return;
+
+        const statusLabels = { ok: 'OK', error: 'Error', auth_required: 'Sign-in required' };
+        const argsElement = toolUseElement.querySelector('.shop-ai-tool-args');
+
+        let resultElement = toolUseElement.querySelector('.shop-ai-tool-result');
+        if (!resultElement) {
+          resultElement = document.createElement('div');
+          resultElement.classList.add('shop-ai-tool-result');
+          argsElement.appendChild(resultElement);
+        }
+
+        resultElement.dataset.status = data.status;
+        resultElement.textContent =
+          `Result: ${statusLabels[data.status] || data.status} in ${(data.duration_ms / 1000).toFixed(1)}s` +
+          (data.summary ? ` - ${data.summary}` : '');
+      },
+
+      /**
+       * Find the tool use message of a tool call
+       * @param {string} callId - The tool call ID
+       * @param {HTMLElement} messagesContainer - The messages container
+       * @returns {HTMLElement|null} The tool use message, if shown
+       */
+      findToolUse: function(callId, messagesContainer) {
+        const toolUseElements = messagesContainer.querySelectorAll('.shop-ai-message.tool-use');
+        return Array.from(toolUseElements).find((element) => element.dataset.callId === callId) || null;
+      },
+
+      /**
+       * Show progress reported by an MCP server on the tool call's message
+       * @param {Object} data - Progress event data (call_id, progress, total, message)
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      updateToolProgress: function(data, messagesContainer) {
+        const toolUseElement = this.findToolUse(data.call_id, messagesContainer);
+        if (!toolUseElement) return;
+
+        let progressElement = toolUseElement.querySelector('.shop-ai-tool-progress');
+        if (!progressElement) {
+          progressElement = document.createElement('div');
+          progressElement.classList.add('shop-ai-tool-progress');
+          toolUseElement.insertBefore(progressElement, toolUseElement.querySelector('.shop-ai-tool-args'));
+        }
+
+        if (data.message) {
+          progressElement.textContent = data.message;
+        } else if (data.total) {
+          progressElement.textContent = `${Math.round((data.progress / data.total) * 100)}% complete`;
+        } else {
+          progressElement.textContent = 'Working…';
+        }
+
         ShopAIChat.UI.scrollToBottom();
       }
     },
@@ -356,6 +482,23 @@
      * Text formatting and markdown handling
      */
     Formatting: {
+      /**
+       * Return a URL from tool data if it is a web link; anything else, such as
+       * a javascript: URL, is rejected
+       * @param {string} url - URL to check
+       * @returns {string|null} The absolute URL, or null if it is not http(s)
+       */
+      safeUrl: function(url) {
+        if (!url) return null;
+
+        try {
+          const parsed = new URL(url, window.location.href);
+          return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+        } catch (e) {
+          return null;
+        }
+      },
+
       /**
        * Format message content with markdown and links
        * @param {HTMLElement} element - The element to format
@@ -379,12 +522,18 @@
             // Just return normal link that will be handled by the document click handler
             return '<a href="#auth" class="shop-auth-trigger">' + text + '</a>';
           }
+
+          // Only web links are rendered; anything else stays plain text
+          const safeUrl = ShopAIChat.Formatting.safeUrl(url);
+          if (!safeUrl) {
+            return text;
+          }
           // If it's a checkout link, replace the text
           else if (url.includes('/cart') || url.includes('checkout')) {
-            return '<a href="' + url + '" target="_blank" rel="noopener noreferrer">click here to proceed to checkout</a>';
+            return '<a href="' + safeUrl + '" target="_blank" rel="noopener noreferrer">click here to proceed to checkout</a>';
           } else {
             // For normal links, preserve the original text
-            return '<a href="' + url + '" target="_blank" rel="noopener noreferrer">' + text + '</a>';
+            return '<a href="' + safeUrl + '" target="_blank" rel="noopener noreferrer">' + text + '</a>';
           }
         });
 
@@ -464,14 +613,61 @@
      * API communication and data handling
      */
     API: {
+      streamUrl: 'https://commercenext-mcp-agent.onrender.com/chat',
+
+      // Version of the chat event protocol this widget speaks (see /chat?protocol=true)
+      protocolVersion: '1.4',
+
+      // Reconnect attempts after the stream drops before the turn has ended
+      maxReconnectAttempts: 5,
+      reconnectDelayMs: 1000,
+
+      // Aborts the response that is currently streaming, if any
+      abortController: null,
+
+      // ID of the last event received, in the form "<turn id>:<sequence>"
+      lastEventId: null,
+
       /**
-       * Stream a response from the API
+       * Stop the response that is currently streaming and tell the server to
+       * stop working on the turn.
+       */
+      stopResponse: function() {
+        if (this.abortController) {
+          this.abortController.abort();
+        }
+
+        const turnId = this.lastEventId && this.lastEventId.split(':')[0];
+        if (turnId) {
+          fetch(`${this.streamUrl}?stop=true`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ turn_id: turnId })
+          }).catch((error) => console.error('Error stopping response:', error));
+        }
+      },
+
+      /**
+       * Stream a response from the API. If the connection drops before the turn
+       * ends, reconnects with Last-Event-ID and continues where it left off.
        * @param {string} userMessage - User's message text
        * @param {string} conversationId - Conversation ID for context
        * @param {HTMLElement} messagesContainer - The messages container
        */
       streamResponse: async function(userMessage, conversationId, messagesContainer) {
-        let currentMessageElement = null;
+        const abortController = new AbortController();
+        this.abortController = abortController;
+        this.lastEventId = null;
+        ShopAIChat.UI.setStreaming(true);
+
+        // Create initial message element
+        const messageElement = document.createElement('div');
+        messageElement.classList.add('shop-ai-message', 'assistant');
+        messageElement.textContent = '';
+        messageElement.dataset.rawText = '';
+        messagesContainer.appendChild(messageElement);
+
+        const state = { completed: false, currentMessageElement: messageElement };
 
         try {
           const promptType = window.shopChatConfig?.promptType || "standardAssistant";
@@ -481,60 +677,144 @@
             prompt_type: promptType
           });
 
-          const streamUrl = 'https://commercenext-mcp-agent.onrender.com/chat';
           const shopId = window.shopId;
 
-          const response = await fetch(streamUrl, {
+          let request = () => fetch(this.streamUrl, {
             method: 'POST',
             headers: {
               'Content-Type': 'application/json',
               'Accept': 'text/event-stream',
+              'X-Chat-Protocol-Version': this.protocolVersion,
               'X-Shopify-Shop-Id': shopId
             },
-            body: requestBody
+            body: requestBody,
+            signal: abortController.signal
           });
 
-          const reader = response.body.getReader();
-          const decoder = new TextDecoder();
-          let buffer = '';
-
-          // Create initial message element
-          let messageElement = document.createElement('div');
-          messageElement.classList.add('shop-ai-message', 'assistant');
-          messageElement.textContent = '';
-          messageElement.dataset.rawText = '';
-          messagesContainer.appendChild(messageElement);
-          currentMessageElement = messageElement;
-
-          // Process the stream
-          while (true) {
-            const { value, done } = await reader.read();
-            if (done) break;
-
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n\n');
-            buffer = lines.pop() || '';
-
-            for (const line of lines) {
-              if (line.startsWith('data: ')) {
-                try {
-                  const data = JSON.parse(line.slice(6));
-                  this.handleStreamEvent(data, currentMessageElement, messagesContainer, userMessage,
-                    (newElement) => { currentMessageElement = newElement; });
-                } catch (e) {
-                  console.error('Error parsing event data:', e, line);
-                }
+          for (let attempt = 0; ; attempt++) {
+            try {
+              const response = await request();
+              if (!response.ok) {
+                throw new Error('Stream request failed: ' + response.status);
               }
+              await this.readStream(response, state, messagesContainer, userMessage);
+            } catch (error) {
+              if (error.name === 'AbortError' || !this.lastEventId) throw error;
+              console.warn('Chat stream interrupted:', error);
+            }
+
+            if (state.completed) break;
+            if (!this.lastEventId || attempt >= this.maxReconnectAttempts) {
+              throw new Error('Chat stream ended before the response was complete');
             }
+
+            await new Promise((resolve) => setTimeout(resolve, this.reconnectDelayMs * (attempt + 1)));
+
+            const lastEventId = this.lastEventId;
+            request = () => fetch(this.streamUrl, {
+              method: 'GET',
+              headers: {
+                'Accept': 'text/event-stream',
+                'Last-Event-ID': lastEventId,
+                'X-Chat-Protocol-Version': this.protocolVersion,
+                'X-Shopify-Shop-Id': shopId
+              },
+              signal: abortController.signal
+            });
           }
         } catch (error) {
-          console.error('Error in streaming:', error);
+          const currentMessageElement = state.currentMessageElement;
           ShopAIChat.UI.removeTypingIndicator();
+
+          if (error.name === 'AbortError') {
+            // Keep whatever was already streamed; drop an empty placeholder
+            if (!currentMessageElement.dataset.rawText) {
+              currentMessageElement.remove();
+            } else {
+              ShopAIChat.Formatting.formatMessageContent(currentMessageElement);
+            }
+            return;
+          }
+
+          console.error('Error in streaming:', error);
           ShopAIChat.Message.add("Sorry, I couldn't process your request. Please try again later.",
             'assistant', messagesContainer);
+        } finally {
+          if (this.abortController === abortController) {
+            this.abortController = null;
+            ShopAIChat.UI.setStreaming(false);
+          }
         }
       },
 
+      /**
+       * Read SSE events from a response until the stream closes
+       * @param {Response} response - The streaming response
+       * @param {Object} state - Stream state shared across reconnects
+       * @param {HTMLElement} messagesContainer - The messages container
+       * @param {string} userMessage - The original user message
+       */
+      readStream: async function(response, state, messagesContainer, userMessage) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop() || '';
+
+          for (const block of blocks) {
+            const event = this.parseEvent(block);
+            if (!event) continue;
+
+            if (event.id) {
+              this.lastEventId = event.id;
+            }
+
+            if (event.event === 'stream_end') {
+              state.completed = true;
+              continue;
+            }
+
+            try {
+              const data = JSON.parse(event.data);
+              this.handleStreamEvent(data, state.currentMessageElement, messagesContainer, userMessage,
+                (newElement) => { state.currentMessageElement = newElement; });
+            } catch (e) {
+              console.error('Error parsing event data:', e, block);
+            }
+          }
+        }
+      },
+
+      /**
+       * Parse one SSE event block into its id, name and data. Comment lines
+       * (heartbeats and padding) are skipped.
+       * @param {string} block - The raw event text
+       * @returns {Object|null} The event, or null if it carries no data
+       */
+      parseEvent: function(block) {
+        const event = { id: null, event: 'message', data: '' };
+
+        for (const line of block.split('\n')) {
+          if (line.startsWith(':')) continue;
+
+          if (line.startsWith('id:')) {
+            event.id = line.slice(3).trim();
+          } else if (line.startsWith('event:')) {
+            event.event = line.slice(6).trim();
+          } else if (line.startsWith('data:')) {
+            event.data += line.slice(5).replace(/^ /, '');
+          }
+        }
+
+        return event.data ? event : null;
+      },
+
       /**
        * Handle stream events from the API
        * @param {Object} data - Event data
@@ -549,6 +829,9 @@
             if (data.conversation_id) {
               sessionStorage.setItem('shopAiConversationId', data.conversation_id);
             }
+            if (data.protocol_version && data.protocol_version.split('.')[0] !== this.protocolVersion.split('.')[0]) {
+              console.warn('Chat server speaks protocol version ' + data.protocol_version + ', expected ' + this.protocolVersion);
+            }
             break;
 
           case 'chunk':
@@ -580,6 +863,14 @@
             currentMessageElement.textContent = "Sorry, our servers are currently busy. Please try again later.";
             break;
 
+          case 'turn_limit_reached':
+            console.warn('Turn limit reached:', data.reason);
+            ShopAIChat.UI.removeTypingIndicator();
+            if (data.message) {
+              ShopAIChat.Message.add(data.message, 'assistant', messagesContainer);
+            }
+            break;
+
           case 'auth_required':
             // Save the last user message for resuming after authentication
             sessionStorage.setItem('shopAiLastMessage', userMessage || '');
@@ -589,12 +880,48 @@
             ShopAIChat.UI.displayProductResults(data.products);
             break;
 
+          case 'cart_updated':
+            ShopAIChat.Cart.update(data.cart);
+            ShopAIChat.Cart.open();
+            break;
+
+          case 'order_status':
+            ShopAIChat.UI.displayCard(ShopAIChat.Cards.createOrderStatus(data.order));
+            break;
+
+          case 'policy_card':
+            ShopAIChat.UI.displayCard(ShopAIChat.Cards.createPolicyCard(data.excerpts));
+            break;
+
           case 'tool_use':
-            if (data.tool_use_message) {
-              ShopAIChat.Message.addToolUse(data.tool_use_message, messagesContainer);
+            ShopAIChat.Message.addToolUse(data, messagesContainer);
+            break;
+
+          case 'thinking':
+            if (data.status === 'started') {
+              ShopAIChat.UI.showThinkingIndicator();
+            } else {
+              ShopAIChat.UI.removeTypingIndicator();
+              ShopAIChat.UI.showTypingIndicator();
             }
             break;
 
+          case 'tool_result':
+            ShopAIChat.Message.addToolResult(data, messagesContainer);
+            break;
+
+          case 'confirmation_required':
+            ShopAIChat.Confirmation.show(data);
+            break;
+
+          case 'confirmation_resolved':
+            ShopAIChat.Confirmation.resolve(data);
+            break;
+
+          case 'tool_progress':
+            ShopAIChat.Message.updateToolProgress(data, messagesContainer);
+            break;
+
           case 'new_message':
             ShopAIChat.Formatting.formatMessageContent(currentMessageElement);
             ShopAIChat.UI.showTypingIndicator();
@@ -691,6 +1018,7 @@
 
           // Clear the conversation ID since we couldn't fetch this conversation
           sessionStorage.removeItem('shopAiConversationId');
+          sessionStorage.removeItem('shopAiCart');
         }
       }
     },
@@ -823,14 +1151,24 @@
      * Product-related functionality
      */
     Product: {
+      placeholderImage: 'https://cdn.shopify.com/s/files/1/0533/2089/files/placeholder-images-image_large.png',
+
       /**
-       * Create a product card element
-       * @param {Object} product - Product data
+       * Create a product card element with an image gallery and, for products
+       * with several variants, a variant picker
+       * @param {Object} product - Normalized product data
        * @returns {HTMLElement} Product card element
        */
       createCard: function(product) {
         const card = document.createElement('div');
         card.classList.add('shop-ai-product-card');
+        card.dataset.productId = product.id;
+        if (product.handle) card.dataset.handle = product.handle;
+
+        const variants = product.variants || [];
+        const images = product.images && product.images.length > 0
+          ? product.images
+          : [{ url: product.image_url, alt: product.title }];
 
         // Create image container
         const imageContainer = document.createElement('div');
@@ -838,13 +1176,36 @@
 
         // Add product image or placeholder
         const image = document.createElement('img');
-        image.src = product.image_url || 'https://cdn.shopify.com/s/files/1/0533/2089/files/placeholder-images-image_large.png';
-        image.alt = product.title;
+        const placeholderImage = this.placeholderImage;
+        image.src = images[0].url || placeholderImage;
+        image.alt = images[0].alt || product.title;
         image.onerror = function() {
           // If image fails to load, use a fallback placeholder
-          this.src = 'https://cdn.shopify.com/s/files/1/0533/2089/files/placeholder-images-image_large.png';
+          this.src = placeholderImage;
         };
         imageContainer.appendChild(image);
+
+        // Let shoppers page through the product's images
+        if (images.length > 1) {
+          const dots = document.createElement('div');
+          dots.classList.add('shop-ai-product-image-dots');
+
+          images.forEach((productImage, index) => {
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.setAttribute('aria-label', `Show image ${index + 1} of ${images.length}`);
+            dot.classList.toggle('active', index === 0);
+            dot.addEventListener('click', () => {
+              image.src = productImage.url;
+              image.alt = productImage.alt || product.title;
+              dots.querySelectorAll('button').forEach((button) => button.classList.toggle('active', button === dot));
+            });
+            dots.appendChild(dot);
+          });
+
+          imageContainer.appendChild(dots);
+        }
+
         card.appendChild(imageContainer);
 
         // Add product info
@@ -857,9 +1218,10 @@
         title.textContent = product.title;
 
         // If product has a URL, make the title a link
-        if (product.url) {
+        const productUrl = ShopAIChat.Formatting.safeUrl(product.url);
+        if (productUrl) {
           const titleLink = document.createElement('a');
-          titleLink.href = product.url;
+          titleLink.href = productUrl;
           titleLink.target = '_blank';
           titleLink.textContent = product.title;
           title.textContent = '';
@@ -868,24 +1230,58 @@
 
         info.appendChild(title);
 
-        // Add product price
+        // Add product price, with the compare-at price struck through when on sale
         const price = document.createElement('p');
         price.classList.add('shop-ai-product-price');
-        price.textContent = product.price;
         info.appendChild(price);
 
         // Add add-to-cart button
         const button = document.createElement('button');
         button.classList.add('shop-ai-add-to-cart');
-        button.textContent = 'Add to Cart';
         button.dataset.productId = product.id;
 
+        let selectedVariant = variants.find((variant) => variant.available) || variants[0] || null;
+
+        // Add a variant picker when there is a choice to make
+        if (variants.length > 1) {
+          const select = document.createElement('select');
+          select.classList.add('shop-ai-variant-select');
+          select.setAttribute('aria-label', `Choose ${product.options?.map((option) => option.name).join(' / ') || 'variant'}`);
+
+          variants.forEach((variant) => {
+            const option = document.createElement('option');
+            option.value = variant.id;
+            option.textContent = variant.available ? variant.title : `${variant.title} (sold out)`;
+            option.selected = variant === selectedVariant;
+            select.appendChild(option);
+          });
+
+          select.addEventListener('change', () => {
+            selectedVariant = variants.find((variant) => variant.id === select.value) || selectedVariant;
+            if (selectedVariant.image_url) {
+              image.src = selectedVariant.image_url;
+            }
+            this.showVariant(product, selectedVariant, price, button);
+          });
+
+          info.appendChild(select);
+        }
+
+        this.showVariant(product, selectedVariant, price, button);
+
         // Add click handler for the button
         button.addEventListener('click', function() {
+          // Add the selected variant directly, without asking the assistant
+          if (button.dataset.variantId) {
+            ShopAIChat.Cart.addItem(button.dataset.variantId, 1, button);
+            return;
+          }
+
           // Send message to add this product to cart
           const input = document.querySelector('.shop-ai-chat-input input');
           if (input) {
-            input.value = `Add ${product.title} to my cart`;
+            const variantText = variants.length > 1 && selectedVariant ? ` (${selectedVariant.title})` : '';
+            input.value = `Add ${product.title}${variantText} to my cart`;
             // Trigger a click on the send button
             const sendButton = document.querySelector('.shop-ai-chat-send');
             if (sendButton) {
@@ -897,6 +1293,450 @@
         info.appendChild(button);
         card.appendChild(info);
 
+        return card;
+      },
+
+      /**
+       * Show the price and availability of the selected variant
+       * @param {Object} product - Normalized product data
+       * @param {Object|null} variant - The selected variant, if the product has any
+       * @param {HTMLElement} priceElement - The price element
+       * @param {HTMLElement} button - The add-to-cart button
+       */
+      showVariant: function(product, variant, priceElement, button) {
+        const currency = variant?.currency || product.price_range?.currency || '';
+        const amount = variant ? variant.price : product.price_range?.min;
+        const compareAt = variant ? variant.compare_at_price : product.compare_at_price;
+        const available = variant ? variant.available : product.available !== false;
+
+        priceElement.textContent = variant?.price ? `${currency} ${variant.price}`.trim() : product.price;
+
+        if (compareAt && amount && Number(compareAt) > Number(amount)) {
+          const compareElement = document.createElement('s');
+          compareElement.classList.add('shop-ai-product-compare-price');
+          compareElement.textContent = `${currency} ${compareAt}`.trim();
+          priceElement.appendChild(compareElement);
+        }
+
+        button.dataset.variantId = variant?.id || '';
+        button.disabled = !available;
+        button.textContent = available ? 'Add to Cart' : 'Sold out';
+      }
+    },
+
+    /**
+     * Mini-cart drawer showing the cart the assistant works on
+     */
+    Cart: {
+      /**
+       * Show a cart in the drawer and the item count on the header button
+       * @param {Object} cart - cart_updated event cart
+       */
+      update: function(cart) {
+        const { cartButton, cartDrawer } = ShopAIChat.UI.elements;
+        if (!cartButton || !cartDrawer || !cart) return;
+
+        sessionStorage.setItem('shopAiCart', JSON.stringify(cart));
+
+        cartButton.hidden = false;
+        cartButton.querySelector('.shop-ai-chat-cart-count').textContent = String(cart.total_quantity);
+
+        const linesElement = cartDrawer.querySelector('.shop-ai-cart-drawer-lines');
+        linesElement.innerHTML = '';
+
+        if (cart.lines.length === 0) {
+          const emptyElement = document.createElement('p');
+          emptyElement.classList.add('shop-ai-cart-drawer-empty');
+          emptyElement.textContent = 'Your cart is empty';
+          linesElement.appendChild(emptyElement);
+        }
+
+        cart.lines.forEach((line) => {
+          const lineElement = document.createElement('div');
+          lineElement.classList.add('shop-ai-cart-line');
+          lineElement.dataset.lineId = line.id;
+
+          if (line.image_url) {
+            const image = document.createElement('img');
+            image.src = line.image_url;
+            image.alt = line.product_title;
+            lineElement.appendChild(image);
+          }
+
+          const details = document.createElement('div');
+          details.classList.add('shop-ai-cart-line-details');
+
+          const title = document.createElement('div');
+          title.classList.add('shop-ai-cart-line-title');
+          title.textContent = line.product_title;
+          details.appendChild(title);
+
+          const meta = document.createElement('div');
+          meta.classList.add('shop-ai-cart-line-meta');
+          meta.textContent = [line.variant_title, `Qty ${line.quantity}`].filter(Boolean).join(' · ');
+          details.appendChild(meta);
+
+          lineElement.appendChild(details);
+
+          if (line.amount) {
+            const price = document.createElement('div');
+            price.classList.add('shop-ai-cart-line-price');
+            price.textContent = `${line.currency} ${line.amount}`.trim();
+            lineElement.appendChild(price);
+          }
+
+          linesElement.appendChild(lineElement);
+        });
+
+        const subtotal = cart.subtotal && cart.subtotal.amount
+          ? `Subtotal: ${cart.subtotal.currency} ${cart.subtotal.amount}`.trim()
+          : '';
+        cartDrawer.querySelector('.shop-ai-cart-drawer-subtotal').textContent = subtotal;
+
+        const checkoutLink = cartDrawer.querySelector('.shop-ai-cart-drawer-checkout');
+        const checkoutUrl = ShopAIChat.Formatting.safeUrl(cart.checkout_url);
+        checkoutLink.hidden = !checkoutUrl || cart.lines.length === 0;
+        checkoutLink.href = checkoutUrl || '#';
+      },
+
+      /**
+       * Add a variant to the conversation's cart through the server, without a
+       * model round trip. The server records the change in the conversation.
+       * @param {string} variantId - Product variant ID
+       * @param {number} quantity - Quantity to add
+       * @param {HTMLElement} button - The add-to-cart button, used for feedback
+       */
+      addItem: async function(variantId, quantity, button) {
+        const label = button.textContent;
+        const showFeedback = (text) => {
+          button.textContent = text;
+          setTimeout(() => {
+            button.textContent = label;
+            button.disabled = false;
+          }, 2000);
+        };
+
+        // The history must not change while a response is being written
+        if (ShopAIChat.UI.isStreaming) {
+          button.disabled = true;
+          showFeedback('One moment…');
+          return;
+        }
+
+        button.disabled = true;
+        button.textContent = 'Adding…';
+
+        try {
+          const response = await fetch(`${ShopAIChat.API.streamUrl}?add_to_cart=true`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'X-Shopify-Shop-Id': window.shopId
+            },
+            body: JSON.stringify({
+              variant_id: variantId,
+              quantity: quantity,
+              conversation_id: sessionStorage.getItem('shopAiConversationId') || undefined
+            })
+          });
+
+          const data = await response.json();
+          // A response is still being written for this conversation
+          if (response.status === 409) {
+            showFeedback('One moment…');
+            return;
+          }
+          if (!response.ok) {
+            throw new Error(data.error || 'Add to cart failed: ' + response.status);
+          }
+
+          sessionStorage.setItem('shopAiConversationId', data.conversation_id);
+
+          // The merchant requires the shopper to confirm cart changes
+          if (data.confirmation) {
+            ShopAIChat.Confirmation.show(data.confirmation);
+            showFeedback('Please confirm');
+            return;
+          }
+
+          ShopAIChat.Message.add(data.message, 'event', ShopAIChat.UI.elements.messagesContainer);
+          this.update(data.cart);
+          this.open();
+          showFeedback('Added ✓');
+        } catch (error) {
+          console.error('Error adding to cart:', error);
+          showFeedback('Try again');
+        }
+      },
+
+      /**
+       * Show the cart saved for this conversation, if any
+       */
+      restore: function() {
+        try {
+          const cart = JSON.parse(sessionStorage.getItem('shopAiCart') || 'null');
+          if (cart) this.update(cart);
+        } catch (e) {
+          sessionStorage.removeItem('shopAiCart');
+        }
+      },
+
+      /**
+       * Open the drawer
+       */
+      open: function() {
+        const { cartDrawer } = ShopAIChat.UI.elements;
+        if (cartDrawer) cartDrawer.hidden = false;
+      },
+
+      /**
+       * Close the drawer
+       */
+      close: function() {
+        const { cartDrawer } = ShopAIChat.UI.elements;
+        if (cartDrawer) cartDrawer.hidden = true;
+      },
+
+      /**
+       * Open the drawer if it is closed, close it otherwise
+       */
+      toggle: function() {
+        const { cartDrawer } = ShopAIChat.UI.elements;
+        if (cartDrawer && cartDrawer.hidden) {
+          this.open();
+        } else {
+          this.close();
+        }
+      }
+    },
+
+    /**
+     * Approve/Decline cards for tool calls the merchant requires the shopper to confirm
+     */
+    Confirmation: {
+      statusLabels: {
+        approved: 'Approved',
+        declined: 'Declined',
+        expired: 'No longer waiting for a decision'
+      },
+
+      /**
+       * Show a confirmation card. Events replayed after a reconnect reuse the
+       * card that is already shown.
+       * @param {Object} data - confirmation_required event
+       */
+      show: function(data) {
+        if (this.findCard(data.action_id)) return;
+
+        const card = ShopAIChat.Cards.createCard('Please confirm', 'confirmation');
+        card.dataset.actionId = data.action_id;
+        ShopAIChat.Cards.addLine(card, data.summary);
+
+        const actions = document.createElement('div');
+        actions.classList.add('shop-ai-confirmation-actions');
+
+        const approveButton = document.createElement('button');
+        approveButton.classList.add('shop-ai-confirmation-approve');
+        approveButton.textContent = 'Approve';
+        approveButton.addEventListener('click', () => this.decide(card, data.action_id, 'approve'));
+
+        const declineButton = document.createElement('button');
+        declineButton.classList.add('shop-ai-confirmation-decline');
+        declineButton.textContent = 'Decline';
+        declineButton.addEventListener('click', () => this.decide(card, data.action_id, 'decline'));
+
+        actions.appendChild(approveButton);
+        actions.appendChild(declineButton);
+        card.appendChild(actions);
+
+        ShopAIChat.UI.displayCard(card);
+      },
+
+      /**
+       * Send the shopper's decision to the server
+       * @param {HTMLElement} card - The confirmation card
+       * @param {string} actionId - Pending action ID
+       * @param {string} decision - "approve" or "decline"
+       */
+      decide: async function(card, actionId, decision) {
+        const buttons = card.querySelectorAll('button');
+        buttons.forEach((button) => { button.disabled = true; });
+
+        try {
+          const response = await fetch(`${ShopAIChat.API.streamUrl}?confirm=true`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'X-Shopify-Shop-Id': window.shopId
+            },
+            body: JSON.stringify({
+              action_id: actionId,
+              decision: decision,
+              conversation_id: sessionStorage.getItem('shopAiConversationId')
+            })
+          });
+
+          const data = await response.json();
+          if (response.status === 409) {
+            this.setStatus(card, 'expired');
+            return;
+          }
+          if (!response.ok) {
+            throw new Error(data.error || 'Confirmation failed: ' + response.status);
+          }
+
+          this.setStatus(card, data.status);
+          // No response was waiting for the decision, so the server ran the call itself
+          if (data.message) {
+            ShopAIChat.Message.add(data.message, 'event', ShopAIChat.UI.elements.messagesContainer);
+          }
+          if (data.cart) {
+            ShopAIChat.Cart.update(data.cart);
+            ShopAIChat.Cart.open();
+          }
+        } catch (error) {
+          console.error('Error sending confirmation:', error);
+          buttons.forEach((button) => { button.disabled = false; });
+        }
+      },
+
+      /**
+       * Show the final decision on a card
+       * @param {Object} data - confirmation_resolved event
+       */
+      resolve: function(data) {
+        const card = this.findCard(data.action_id);
+        if (card) this.setStatus(card, data.status);
+      },
+
+      /**
+       * Replace a card's buttons with its status
+       * @param {HTMLElement} card - The confirmation card
+       * @param {string} status - "approved", "declined" or "expired"
+       */
+      setStatus: function(card, status) {
+        const actions = card.querySelector('.shop-ai-confirmation-actions');
+        if (actions) actions.remove();
+
+        let statusLine = card.querySelector('.shop-ai-confirmation-status');
+        if (!statusLine) {
+          statusLine = ShopAIChat.Cards.addLine(card, '', 'shop-ai-confirmation-status');
+        }
+        statusLine.textContent = this.statusLabels[status] || status;
+        card.dataset.status = status;
+      },
+
+      /**
+       * Find the card of a pending action
+       * @param {string} actionId - Pending action ID
+       * @returns {HTMLElement|null} The card, if shown
+       */
+      findCard: function(actionId) {
+        return ShopAIChat.UI.elements.messagesContainer.querySelector(
+          `.shop-ai-info-card-confirmation[data-action-id="${CSS.escape(actionId)}"]`
+        );
+      }
+    },
+
+    /**
+     * Information cards built from tool result events (orders, policies)
+     */
+    Cards: {
+      /**
+       * Create the card shell with a heading
+       * @param {string} heading - Card heading
+       * @param {string} modifier - Card type, added as a class
+       * @returns {HTMLElement} Card element
+       */
+      createCard: function(heading, modifier) {
+        const card = document.createElement('div');
+        card.classList.add('shop-ai-info-card', `shop-ai-info-card-${modifier}`);
+
+        const title = document.createElement('h4');
+        title.textContent = heading;
+        card.appendChild(title);
+
+        return card;
+      },
+
+      /**
+       * Add a line of text to a card
+       * @param {HTMLElement} card - Card element
+       * @param {string} text - Line text
+       * @param {string} [className] - Optional class for the line
+       * @returns {HTMLElement} The line element
+       */
+      addLine: function(card, text, className) {
+        const line = document.createElement('p');
+        if (className) line.classList.add(className);
+        line.textContent = text;
+        card.appendChild(line);
+        return line;
+      },
+
+      /**
+       * Add a link to a card; URLs that are not http(s) are shown as plain text
+       * @param {HTMLElement} card - Card element
+       * @param {string} href - Link URL
+       * @param {string} text - Link text
+       */
+      addLink: function(card, href, text) {
+        const url = ShopAIChat.Formatting.safeUrl(href);
+        if (!url) {
+          this.addLine(card, text);
+          return;
+        }
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.target = '_blank';
+        link.textContent = text;
+        card.appendChild(link);
+      },
+
+      /**
+       * Create an order status card
+       * @param {Object} order - order_status event order
+       * @returns {HTMLElement} Card element
+       */
+      createOrderStatus: function(order) {
+        const card = this.createCard(`Order ${order.name || order.id}`, 'order');
+
+        const status = [order.status, order.fulfillment_status, order.financial_status].filter(Boolean).join(' · ');
+        if (status) this.addLine(card, status);
+        if (order.processed_at) {
+          this.addLine(card, `Placed ${new Date(order.processed_at).toLocaleDateString()}`);
+        }
+        if (order.total && order.total.amount) {
+          this.addLine(card, `Total: ${order.total.currency} ${order.total.amount}`.trim(), 'shop-ai-info-card-total');
+        }
+
+        (order.tracking || []).forEach((tracking) => {
+          const label = `Track ${tracking.company || 'shipment'} ${tracking.number}`.trim();
+          if (tracking.url) {
+            this.addLink(card, tracking.url, label);
+          } else {
+            this.addLine(card, label);
+          }
+        });
+
+        return card;
+      },
+
+      /**
+       * Create a card with store policy excerpts
+       * @param {Array} excerpts - policy_card event excerpts
+       * @returns {HTMLElement} Card element
+       */
+      createPolicyCard: function(excerpts) {
+        const card = this.createCard('Store policies', 'policy');
+
+        excerpts.forEach((excerpt) => {
+          if (excerpt.title) this.addLine(card, excerpt.title, 'shop-ai-info-card-subtitle');
+          this.addLine(card, excerpt.text);
+          if (excerpt.url) this.addLink(card, excerpt.url, 'Read more');
+        });
+
         return card;
       }
     },
@@ -917,6 +1757,7 @@
       if (conversationId) {
         // Fetch conversation history
         this.API.fetchChatHistory(conversationId, this.UI.elements.messagesContainer);
+        this.Cart.restore();
       } else {
         // No previous conversation, show welcome message
         const welcomeMessage = window.shopChatConfig?.welcomeMessage || "👋 Hi there! How can I help you today?";
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "McpServer" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "name" TEXT NOT NULL,
+  "endpoint" TEXT NOT NULL,
+  "headers" TEXT,
+  "toolPrefix" TEXT,
+  "enabled" BOOLEAN NOT NULL DEFAULT true,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "McpServer_shop_name_key" ON "McpServer"("shop", "name");
+
+-- CreateIndex
+CREATE INDEX "McpServer_shop_idx" ON "McpServer"("shop");
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "ConversationSummary" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "conversationId" TEXT NOT NULL,
+  "summary" TEXT NOT NULL,
+  "lastMessageId" TEXT NOT NULL,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ConversationSummary_conversationId_key" ON "ConversationSummary"("conversationId");
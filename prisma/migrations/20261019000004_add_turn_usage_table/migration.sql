@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "TurnUsage" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "conversationId" TEXT NOT NULL,
+  "model" TEXT NOT NULL,
+  "modelCalls" INTEGER NOT NULL,
+  "inputTokens" INTEGER NOT NULL,
+  "outputTokens" INTEGER NOT NULL,
+  "cacheCreationInputTokens" INTEGER NOT NULL,
+  "cacheReadInputTokens" INTEGER NOT NULL,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "TurnUsage_conversationId_idx" ON "TurnUsage"("conversationId");
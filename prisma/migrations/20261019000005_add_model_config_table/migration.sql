@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "ModelConfig" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "provider" TEXT NOT NULL DEFAULT 'anthropic',
+  "model" TEXT,
+  "maxTokens" INTEGER,
+  "temperature" REAL,
+  "thinkingBudget" INTEGER,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ModelConfig_shop_key" ON "ModelConfig"("shop");
@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "ConversationCart" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "conversationId" TEXT NOT NULL,
+  "cartId" TEXT NOT NULL,
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ConversationCart_conversationId_key" ON "ConversationCart"("conversationId");
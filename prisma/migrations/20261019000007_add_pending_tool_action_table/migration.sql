@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "PendingToolAction" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "conversationId" TEXT NOT NULL,
+  "toolUseId" TEXT NOT NULL,
+  "toolName" TEXT NOT NULL,
+  "arguments" TEXT NOT NULL,
+  "summary" TEXT NOT NULL,
+  "status" TEXT NOT NULL DEFAULT 'pending',
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PendingToolAction_toolUseId_key" ON "PendingToolAction"("toolUseId");
+
+-- CreateIndex
+CREATE INDEX "PendingToolAction_conversationId_idx" ON "PendingToolAction"("conversationId");
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "ChatContextConfig" (
+  "id" TEXT NOT NULL PRIMARY KEY,
+  "shop" TEXT NOT NULL,
+  "mcpPrompt" TEXT,
+  "contextResources" TEXT NOT NULL DEFAULT '',
+  "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ChatContextConfig_shop_key" ON "ChatContextConfig"("shop");
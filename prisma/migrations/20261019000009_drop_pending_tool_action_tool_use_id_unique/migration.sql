@@ -0,0 +1,2 @@
+-- DropIndex
+DROP INDEX "PendingToolAction_toolUseId_key";